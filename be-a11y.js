@@ -1,8 +1,65 @@
+import AbstractDomElement from './src/classes/AbstractDomElement.js'
 import Accordion from './src/classes/Accordion.js'
+import Disclosure from './src/classes/Disclosure.js'
 import Dropdown from './src/classes/Dropdown.js'
 import Modal from './src/classes/Modal.js'
 import Slider from './src/classes/Slider.js'
 import Tabs from './src/classes/Tabs.js'
 import Toggle from './src/classes/Toggle.js'
+import Announcer from './src/utils/Announcer.js'
+import autoInit, { registerComponent } from './src/utils/autoInit.js'
+import Breakpoints from './src/utils/Breakpoints.js'
+import configure, { getConfig, resetConfig } from './src/utils/configure.js'
+import DOMAnimations from './src/utils/DOMAnimations.js'
+import FocusTrap from './src/utils/FocusTrap.js'
+import I18n from './src/utils/I18n.js'
+import KeyboardNavigation from './src/utils/KeyboardNavigation.js'
+import defineCustomElements, { createCustomElement } from './src/utils/customElements.js'
+import Router from './src/utils/Router.js'
+import { getInitialFocus, getTabbableElements, isFocusable, isTabbable } from './src/utils/focus.js'
+import { resetUniqueIds, uniqueId } from './src/utils/helpers.js'
 
-export { Accordion, Dropdown, Modal, Slider, Tabs, Toggle }
+/**
+ * @typedef {import('./src/classes/Accordion.js').AccordionOptions} AccordionOptions
+ * @typedef {import('./src/utils/DOMAnimations.js').AnimationOptions} AnimationOptions
+ * @typedef {import('./src/utils/configure.js').Config} Config
+ * @typedef {import('./src/classes/Disclosure.js').DisclosureOptions} DisclosureOptions
+ * @typedef {import('./src/classes/Dropdown.js').DropdownOptions} DropdownOptions
+ * @typedef {import('./src/utils/KeyboardNavigation.js').KeyboardNavigationOptions} KeyboardNavigationOptions
+ * @typedef {import('./src/classes/Modal.js').ModalOptions} ModalOptions
+ * @typedef {import('./src/classes/AbstractDomElement.js').Plugin} Plugin
+ * @typedef {import('./src/classes/Slider.js').SliderOptions} SliderOptions
+ * @typedef {import('./src/classes/Tabs.js').TabsOptions} TabsOptions
+ * @typedef {import('./src/classes/Toggle.js').ToggleOptions} ToggleOptions
+ */
+
+export {
+  AbstractDomElement,
+  Accordion,
+  Disclosure,
+  Dropdown,
+  Modal,
+  Slider,
+  Tabs,
+  Toggle,
+  Announcer,
+  autoInit,
+  Breakpoints,
+  configure,
+  createCustomElement,
+  defineCustomElements,
+  DOMAnimations,
+  FocusTrap,
+  getConfig,
+  getInitialFocus,
+  getTabbableElements,
+  I18n,
+  isFocusable,
+  isTabbable,
+  KeyboardNavigation,
+  registerComponent,
+  resetConfig,
+  resetUniqueIds,
+  Router,
+  uniqueId,
+}
@@ -1,6 +1,64 @@
+import I18n, { interpolate } from '../utils/I18n.js'
+import Announcer from '../utils/Announcer.js'
+import { getConfiguredOptions } from '../utils/configure.js'
+import { auditDuplicateIds, report, validateOptions } from '../utils/diagnostics.js'
 import extend from '../utils/extend.js'
 
+const EVENT_NAMESPACE = 'be-a11y'
+
+// live instances of every component, in creation order
+const instances = []
+// plugins registered with use(), with the class whose instances they extend
+const plugins = []
+// options of the presets defined with definePreset(), indexed by component name space then by preset name
+const presets = {}
+// delegated listeners indexed by event type then by instance element, each type has a single document listener
+const delegatedListeners = {}
+
+/**
+ * @typedef {string|HTMLElement|NodeList|HTMLElement[]} ElementTarget selector, element or list of elements
+ */
+
+/**
+ * @typedef {Object} PluginChange
+ * @property {string} type event type without the before prefix (open, close, change, remove)
+ * @property {Object} detail event detail
+ */
+
+/**
+ * @typedef {Object} Plugin
+ * @property {string} name a plugin replaces a plugin of the same name registered before it
+ * @property {string[]} [components] name spaces of the extended components, every component by default
+ * @property {Object} [defaults] options added to the component options
+ * @property {Object<string, string>} [schema] types of the added options, checked with the debug option
+ * @property {Object<string, Function>} [methods] methods added to the instances, called with the instance as this
+ * @property {(instance: AbstractDomElement) => void} [init] called once the component is initialized
+ * @property {(instance: AbstractDomElement, change: PluginChange) => boolean|void} [beforeChange] called before a state
+ * change, return false to cancel it
+ * @property {(instance: AbstractDomElement, change: PluginChange) => void} [afterChange] called after a state change
+ * @property {(instance: AbstractDomElement) => void} [destroy] called on destroy, if init was called
+ */
+
+/**
+ * @typedef {Object} DelegatedListener
+ * @property {AbstractDomElement} instance
+ * @property {string} type event type
+ * @property {string|null} selector elements of the instance handling the event, null for every event of the type
+ * @property {(e: Event, target: Element) => void} handler
+ * @property {boolean} active false once the listener is removed
+ */
+
+/**
+ * @typedef {Object} AuditIssue
+ * @property {string} message
+ * @property {HTMLElement} [element] offending element
+ */
+
 class AbstractDomElement {
+  /**
+   * @param {HTMLElement} element
+   * @param {Object} [options] component options, merged with the component defaults
+   */
   constructor(element, options) {
     let oldInstance
 
@@ -26,59 +84,703 @@ class AbstractDomElement {
       return oldInstance
     }
 
+    const configuredOptions = getConfiguredOptions(this.constructor)
+    const presetOptions = getPreset(this.constructor, (options && options.preset) || configuredOptions.preset)
+
+    this._plugins = getPlugins(this, [configuredOptions, presetOptions, options])
+    this._initializedPlugins = []
     this._element = element
-    this._settings = extend(true, {}, this.constructor.defaults, options)
+    // from the lowest to the highest precedence: defaults, configure(), preset, instance options
+    this._settings = extend.apply(
+      null,
+      [true, {}, this.constructor.defaults].concat(
+        this._plugins.map((plugin) => plugin.defaults),
+        configuredOptions,
+        presetOptions,
+        options
+      )
+    )
+    this._listeners = []
+    this._delegatedListeners = []
+    this._teardowns = []
+    this._attributes = []
+    this._isSilent = false
     this._element.beapi[nameSpace] = this
     this._isNewInstance = true
+
+    instances.push(this)
+    this._plugins.forEach(addMethods, this)
+
+    if (this._settings.debug) {
+      report(
+        this,
+        validateOptions(extend({}, presetOptions, options), getSchema(this.constructor.schema, this._plugins))
+      )
+
+      // the markup is audited once the component is initialized
+      Promise.resolve().then(() => {
+        if (instances.indexOf(this) !== -1) {
+          report(this, this.audit())
+        }
+      })
+    }
+
+    if (this._plugins.length > 0) {
+      // components call initPlugins() at the end of their constructor, the plugins of other subclasses are initialized
+      // once the constructor has returned
+      Promise.resolve().then(() => {
+        if (instances.indexOf(this) === -1) {
+          return
+        }
+
+        try {
+          this.initPlugins()
+        } catch (error) {
+          console.warn('[AbstractDomElement] a plugin failed to initialize on :', this._element, error)
+        }
+      })
+    }
   }
 
+  /**
+   * Call the init hook of the plugins not initialized yet, at the end of the component constructor so the plugins see
+   * an initialized component and their errors are thrown by the constructor
+   *
+   * @returns {AbstractDomElement}
+   */
+  initPlugins() {
+    this._plugins
+      .filter((plugin) => this._initializedPlugins.indexOf(plugin) === -1)
+      .forEach((plugin) => {
+        this._initializedPlugins.push(plugin)
+
+        if (plugin.init) {
+          plugin.init(this)
+        }
+      })
+
+    return this
+  }
+
+  /**
+   * Check if the constructor created a new instance, false if the element was already initialized
+   *
+   * @returns {boolean}
+   */
   isNewInstance() {
     return this._isNewInstance
   }
 
+  /**
+   * Call the destroy hook of the plugins, remove every registered listener, restore saved attributes, run teardown
+   * functions and unregister the instance
+   *
+   * @returns {AbstractDomElement}
+   */
   destroy() {
+    this._initializedPlugins.splice(0).forEach((plugin) => {
+      if (plugin.destroy) {
+        plugin.destroy(this)
+      }
+    })
+    this.removeListeners()
+    this.restoreAttributes()
+    this._teardowns.splice(0).forEach((teardown) => teardown())
     this._element.beapi[this.constructor.nameSpace] = undefined
+
+    if (instances.indexOf(this) !== -1) {
+      instances.splice(instances.indexOf(this), 1)
+    }
+
+    return this
+  }
+
+  /**
+   * Add an event listener and keep track of it so it is removed on destroy
+   *
+   * @param {EventTarget} target
+   * @param {string} type event type
+   * @param {EventListener} handler event listener
+   * @param {AddEventListenerOptions|boolean} [options] event listener options
+   *
+   * @returns {AbstractDomElement}
+   */
+  addListener(target, type, handler, options) {
+    if (findListener(this._listeners, target, type, handler, options) === -1) {
+      target.addEventListener(type, handler, options)
+      this._listeners.push({ target, type, handler, options })
+    }
+
+    return this
+  }
+
+  /**
+   * Remove an event listener added with addListener()
+   *
+   * @param {EventTarget} target
+   * @param {string} type event type
+   * @param {EventListener} handler event listener
+   * @param {AddEventListenerOptions|boolean} [options] event listener options
+   *
+   * @returns {AbstractDomElement}
+   */
+  removeListener(target, type, handler, options) {
+    const index = findListener(this._listeners, target, type, handler, options)
+
+    if (index !== -1) {
+      target.removeEventListener(type, handler, options)
+      this._listeners.splice(index, 1)
+    }
+
+    return this
+  }
+
+  /**
+   * Listen to the events of the elements matching a selector in the component element, or to every event of a type if
+   * the selector is null. Every instance shares a single document listener per event type, which routes the events to
+   * the instances whose element is an ancestor of the target. A nested instance of the same component handles the
+   * events of its own elements.
+   *
+   * @example this.delegate('click', '.accordion__trigger', (e, trigger) => {})
+   *
+   * @param {string} type event type, the event must bubble
+   * @param {string|null} selector
+   * @param {(e: Event, target: Element) => void} handler called with the event and the element matching the selector
+   *
+   * @returns {AbstractDomElement}
+   */
+  delegate(type, selector, handler) {
+    if (findDelegatedListener(this._delegatedListeners, type, selector, handler) === -1) {
+      const listener = { instance: this, type, selector, handler, active: true }
+
+      addDelegatedListener(listener)
+      this._delegatedListeners.push(listener)
+    }
+
+    return this
+  }
+
+  /**
+   * Remove a listener added with delegate()
+   *
+   * @param {string} type event type
+   * @param {string|null} selector
+   * @param {(e: Event, target: Element) => void} handler
+   *
+   * @returns {AbstractDomElement}
+   */
+  undelegate(type, selector, handler) {
+    const index = findDelegatedListener(this._delegatedListeners, type, selector, handler)
+
+    if (index !== -1) {
+      removeDelegatedListener(this._delegatedListeners.splice(index, 1)[0])
+    }
+
+    return this
+  }
+
+  /**
+   * Remove every event listener added with addListener() or delegate()
+   *
+   * @returns {AbstractDomElement}
+   */
+  removeListeners() {
+    this._listeners.splice(0).forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options)
+    })
+    this._delegatedListeners.splice(0).forEach(removeDelegatedListener)
+
     return this
   }
 
-  static init(element, options) {
-    foreach(element, (el) => {
-      new this(el, options)
+  /**
+   * Register a function called on destroy (breakpoint subscription, timer...)
+   *
+   * @param {() => void} teardown
+   *
+   * @returns {AbstractDomElement}
+   */
+  addTeardown(teardown) {
+    this._teardowns.push(teardown)
+    return this
+  }
+
+  /**
+   * Register an observer (MutationObserver, ResizeObserver...) disconnected on destroy
+   *
+   * @param {{disconnect: () => void}} observer object with a disconnect method
+   *
+   * @returns {AbstractDomElement}
+   */
+  addObserver(observer) {
+    return this.addTeardown(() => observer.disconnect())
+  }
+
+  /**
+   * Save the current value of attributes, restored on destroy. Only the first saved value of an attribute is kept.
+   *
+   * @param {HTMLElement|NodeList|HTMLElement[]} elements
+   * @param {string[]} names attribute names
+   *
+   * @returns {AbstractDomElement}
+   */
+  saveAttributes(elements, names) {
+    if (!elements) {
+      return this
+    }
+
+    foreach(elements, (element) => {
+      names.forEach((name) => {
+        const isSaved = this._attributes.some((attribute) => attribute.element === element && attribute.name === name)
+
+        if (!isSaved) {
+          this._attributes.push({ element, name, value: element.getAttribute(name) })
+        }
+      })
     })
 
     return this
   }
 
+  /**
+   * Restore attributes saved with saveAttributes()
+   *
+   * @returns {AbstractDomElement}
+   */
+  restoreAttributes() {
+    this._attributes.splice(0).forEach(({ element, name, value }) => {
+      value === null ? element.removeAttribute(name) : element.setAttribute(name, value)
+    })
+
+    return this
+  }
+
+  /**
+   * Get registered listeners, teardown functions and saved attributes, useful to check that nothing is left after
+   * destroy
+   *
+   * @returns {{listeners: Object[], delegatedListeners: DelegatedListener[], teardowns: Function[], attributes: Object[]}}
+   */
+  getRegistry() {
+    return {
+      listeners: this._listeners.slice(),
+      delegatedListeners: this._delegatedListeners.slice(),
+      teardowns: this._teardowns.slice(),
+      attributes: this._attributes.slice(),
+    }
+  }
+
+  /**
+   * Get a plain serializable snapshot of the component state, overridden by components
+   *
+   * @returns {Object}
+   */
+  getState() {
+    return {}
+  }
+
+  /**
+   * Restore a state returned by getState(), without replaying user interactions
+   *
+   * @param {Object} state
+   * @param {Object} [options]
+   * @param {boolean} [options.silent] do not dispatch be-a11y events while the state is restored
+   *
+   * @returns {AbstractDomElement}
+   */
+  setState(state, { silent = false } = {}) {
+    const isSilent = this._isSilent
+
+    this._isSilent = silent
+
+    try {
+      this.applyState(state || {})
+    } finally {
+      this._isSilent = isSilent
+    }
+
+    return this
+  }
+
+  /**
+   * Apply the state object given to setState(), overridden by components
+   *
+   * @param {Object} state
+   *
+   * @returns {void}
+   */
+  applyState() {}
+
+  /**
+   * Check the markup managed by the component, called after initialization with the debug option. Components add their
+   * own checks (missing accessible names, triggers that are not buttons...).
+   *
+   * @example Accordion.getInstance('#faq').audit() // [{ message: 'the trigger has no accessible name', element }]
+   *
+   * @returns {AuditIssue[]}
+   */
+  audit() {
+    return auditDuplicateIds(this._element)
+  }
+
+  /**
+   * Get a translated message of the component. The messages option of the instance overrides the catalog, and the
+   * locale is the locale option, the I18n locale or the closest lang attribute.
+   *
+   * @example this.t('counter', { current: 1, total: 5 }) // slider.counter message, 1 / 5
+   *
+   * @param {string} key message name
+   * @param {Object} [params] values of the {name} placeholders
+   *
+   * @returns {string}
+   */
+  t(key, params) {
+    const { locale, messages } = this._settings
+
+    if (messages && typeof messages[key] === 'string') {
+      return interpolate(messages[key], params)
+    }
+
+    const lang = this._element.closest && this._element.closest('[lang]')
+
+    return I18n.translate(
+      `${this.constructor.nameSpace.toLowerCase()}.${key}`,
+      params,
+      locale || I18n.getLocale() || (lang ? lang.getAttribute('lang') : null)
+    )
+  }
+
+  /**
+   * Announce a message to screen readers with the shared live regions, nothing is announced if the announce option is
+   * false or while the component is silent
+   *
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {'polite'|'assertive'} [options.politeness]
+   *
+   * @returns {this}
+   */
+  announce(message, options) {
+    if (this._settings.announce !== false && !this._isSilent) {
+      Announcer.announce(message, options)
+    }
+
+    return this
+  }
+
+  /**
+   * Dispatch a namespaced, bubbling and cancelable CustomEvent (be-a11y:open, be-a11y:beforeopen...). The beforeChange
+   * hook of the plugins is called before the before* events, the afterChange hook after the other events.
+   *
+   * @param {string} type event type without namespace
+   * @param {Object} [detail] event detail, completed with the instance, the component name space and the element
+   *
+   * @returns {boolean} false if a plugin returned false or a listener called preventDefault(), always true when the
+   * component is silent
+   */
+  dispatch(type, detail) {
+    if (this._isSilent) {
+      return true
+    }
+
+    const isBefore = type.indexOf('before') === 0
+    const change = { type: isBefore ? type.slice(6) : type, detail: detail || {} }
+
+    if (
+      isBefore &&
+      this._plugins.some((plugin) => plugin.beforeChange && plugin.beforeChange(this, change) === false)
+    ) {
+      return false
+    }
+
+    const event = new CustomEvent(`${EVENT_NAMESPACE}:${type}`, {
+      bubbles: true,
+      cancelable: true,
+      detail: extend(
+        {
+          instance: this,
+          component: this.constructor.nameSpace,
+          element: this._element,
+        },
+        detail
+      ),
+    })
+
+    const result = this._element.dispatchEvent(event)
+
+    if (!isBefore) {
+      this._plugins.forEach((plugin) => {
+        if (plugin.afterChange) {
+          plugin.afterChange(this, change)
+        }
+      })
+    }
+
+    return result
+  }
+
+  /**
+   * Listen to a namespaced event of the component
+   *
+   * @param {string} type event type without namespace
+   * @param {(e: CustomEvent) => void} handler event listener
+   *
+   * @returns {AbstractDomElement}
+   */
+  on(type, handler) {
+    this._element.addEventListener(`${EVENT_NAMESPACE}:${type}`, handler)
+    return this
+  }
+
+  /**
+   * Stop listening to a namespaced event of the component
+   *
+   * @param {string} type event type without namespace
+   * @param {(e: CustomEvent) => void} handler event listener
+   *
+   * @returns {AbstractDomElement}
+   */
+  off(type, handler) {
+    this._element.removeEventListener(`${EVENT_NAMESPACE}:${type}`, handler)
+    return this
+  }
+
+  /**
+   * Register a plugin extending the instances created afterwards, every component when called on AbstractDomElement,
+   * only this component when called on a component
+   *
+   * @example Slider.use(autoplay)
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @param {Plugin} plugin
+   *
+   * @returns {T}
+   */
+  static use(plugin) {
+    plugins.push({ plugin, component: this })
+
+    return this
+  }
+
+  /**
+   * Define a named preset of options, used by the instances with a preset option of the same name. Preset options
+   * override the defaults and the options set with configure(), and are overridden by the instance options.
+   *
+   * @example Accordion.definePreset('faq', { allowMultiple: true }).init('.faq', { preset: 'faq' })
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @param {string} name
+   * @param {ConstructorParameters<T>[1]} options
+   *
+   * @returns {T}
+   */
+  static definePreset(name, options) {
+    presets[this.nameSpace] = presets[this.nameSpace] || {}
+    presets[this.nameSpace][name] = options
+
+    return this
+  }
+
+  /**
+   * Initialize the component on each element
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @param {ElementTarget} element selector, element or list of elements
+   * @param {ConstructorParameters<T>[1]} [options] component options
+   * @param {Object} [scope]
+   * @param {HTMLElement|Document} [scope.root] container in which the selector is resolved
+   *
+   * @returns {T}
+   */
+  static init(element, options, { root = document } = {}) {
+    foreach(
+      element,
+      (el) => {
+        new this(el, options)
+      },
+      root
+    )
+
+    return this
+  }
+
+  /**
+   * Check if the component is initialized on an element
+   *
+   * @param {ElementTarget} element selector, element or list of elements, only the first element is checked
+   *
+   * @returns {boolean}
+   */
   static hasInstance(element) {
     const el = getDomElement(element)
     return el && el.beapi && !!el.beapi[this.nameSpace]
   }
 
+  /**
+   * Get the instance of the component initialized on an element
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @param {ElementTarget} element selector, element or list of elements, only the first element is checked
+   *
+   * @returns {InstanceType<T>|undefined}
+   */
   static getInstance(element) {
     const el = getDomElement(element)
     return el && el.beapi ? el.beapi[this.nameSpace] : undefined
   }
 
-  static destroy(element) {
-    this.foreach(element, (el) => {
-      if (el.beapi && el.beapi[this.nameSpace]) {
+  /**
+   * Destroy the component instances of each element
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @param {ElementTarget} element selector, element or list of elements
+   * @param {Object} [scope]
+   * @param {HTMLElement|Document} [scope.root] container in which the selector is resolved
+   *
+   * @returns {T}
+   */
+  static destroy(element, { root = document } = {}) {
+    this.foreach(
+      element,
+      (el) => {
         el.beapi[this.nameSpace].destroy()
-      }
-    })
+      },
+      { root }
+    )
 
     return this
   }
 
-  static foreach(element, callback) {
-    foreach(element, (el) => {
-      if (el.beapi && el.beapi[this.nameSpace]) {
-        callback(el)
+  /**
+   * Call a function for each element on which the component is initialized
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @param {ElementTarget} element selector, element or list of elements
+   * @param {(element: HTMLElement) => void} callback
+   * @param {Object} [scope]
+   * @param {HTMLElement|Document} [scope.root] container in which the selector is resolved
+   *
+   * @returns {T}
+   */
+  static foreach(element, callback, { root = document } = {}) {
+    foreach(
+      element,
+      (el) => {
+        if (el.beapi && el.beapi[this.nameSpace]) {
+          callback(el)
+        }
+      },
+      root
+    )
+
+    return this
+  }
+
+  /**
+   * Get live instances, every component when called on AbstractDomElement, only its own when called on a component
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @returns {InstanceType<T>[]}
+   */
+  static getInstances() {
+    return instances.filter((instance) => instance instanceof this)
+  }
+
+  /**
+   * Get live instances indexed by component name space
+   *
+   * @example AbstractDomElement.getInstancesByType() // { Accordion: [accordion], Modal: [modal1, modal2] }
+   *
+   * @returns {Object<string, AbstractDomElement[]>}
+   */
+  static getInstancesByType() {
+    return this.getInstances().reduce((types, instance) => {
+      const nameSpace = instance.constructor.nameSpace
+
+      types[nameSpace] = types[nameSpace] || []
+      types[nameSpace].push(instance)
+
+      return types
+    }, {})
+  }
+
+  /**
+   * Destroy the instances whose element is root or one of its descendants, before replacing a region of the page
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @param {HTMLElement} root
+   *
+   * @returns {T}
+   */
+  static destroyWithin(root) {
+    this.getInstances()
+      .filter((instance) => root.contains(instance._element))
+      .reverse()
+      .forEach((instance) => instance.destroy())
+
+    return this
+  }
+
+  /**
+   * Destroy every live instance
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @returns {T}
+   */
+  static destroyAll() {
+    this.getInstances()
+      .reverse()
+      .forEach((instance) => instance.destroy())
+
+    return this
+  }
+
+  /**
+   * Refresh every live instance with a refresh method
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @returns {T}
+   */
+  static refreshAll() {
+    this.getInstances().forEach((instance) => {
+      if (typeof instance.refresh === 'function') {
+        instance.refresh()
       }
     })
 
     return this
   }
 
+  /**
+   * Initialize the component with the options of each selector of the static preset object
+   *
+   * @example Accordion.preset = { '.faq': { allowMultiple: true } }
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @returns {T}
+   */
   static initFromPreset() {
     const preset = this.preset
     let selector
@@ -90,6 +792,14 @@ class AbstractDomElement {
     return this
   }
 
+  /**
+   * Destroy the component on each selector of the static preset object
+   *
+   * @template {typeof AbstractDomElement} T
+   * @this {T}
+   *
+   * @returns {T}
+   */
   static destroyFromPreset() {
     const preset = this.preset
     let selector
@@ -102,11 +812,210 @@ class AbstractDomElement {
   }
 }
 
+// ----
+// plugins
+// ----
+
+/**
+ * Get the plugins of an instance: the registered plugins of its component then the plugins option of each source of
+ * options, filtered by their components property. A plugin replaces a previous plugin of the same name.
+ *
+ * @param {AbstractDomElement} instance
+ * @param {(Object|undefined)[]} sources options set with configure(), preset options and instance options
+ *
+ * @returns {Plugin[]}
+ */
+function getPlugins(instance, sources) {
+  const nameSpace = instance.constructor.nameSpace
+  const registered = plugins.filter(({ component }) => instance instanceof component).map(({ plugin }) => plugin)
+
+  return Array.prototype.concat
+    .apply(
+      registered,
+      sources.map((options) => (options && options.plugins) || [])
+    )
+    .filter((plugin) => !plugin.components || plugin.components.indexOf(nameSpace) !== -1)
+    .reduce((list, plugin) => list.filter((item) => item.name !== plugin.name).concat(plugin), [])
+}
+
+/**
+ * Add the methods of a plugin to the instance, existing methods are not overridden
+ *
+ * @param {Plugin} plugin
+ *
+ * @returns {void}
+ */
+function addMethods(plugin) {
+  Object.keys(plugin.methods || {}).forEach((name) => {
+    if (name in this) {
+      console.warn(`[AbstractDomElement] the plugin "${plugin.name}" cannot override the method "${name}" of :`, this)
+      return
+    }
+
+    this[name] = plugin.methods[name].bind(this)
+  })
+}
+
+/**
+ * Add the option types of the plugins to a component schema
+ *
+ * @param {Object<string, string>|undefined} schema
+ * @param {Plugin[]} list
+ *
+ * @returns {Object<string, string>|undefined}
+ */
+function getSchema(schema, list) {
+  return schema ? extend.apply(null, [{}, schema].concat(list.map((plugin) => plugin.schema))) : schema
+}
+
+// ----
+// delegated events
+// ----
+
+/**
+ * Register a delegated listener, the document listener of its type is added with the first listener
+ *
+ * @param {DelegatedListener} listener
+ *
+ * @returns {void}
+ */
+function addDelegatedListener(listener) {
+  const { instance, selector, type } = listener
+
+  if (!delegatedListeners[type]) {
+    delegatedListeners[type] = { elements: new Map(), global: [] }
+    document.addEventListener(type, handleDelegatedEvent)
+  }
+
+  const registry = delegatedListeners[type]
+
+  // the lists are replaced instead of changed, an event being routed keeps its lists
+  if (selector) {
+    registry.elements.set(instance._element, (registry.elements.get(instance._element) || []).concat(listener))
+  } else {
+    registry.global = registry.global.concat(listener)
+  }
+}
+
+/**
+ * Unregister a delegated listener, the document listener of its type is removed with the last listener
+ *
+ * @param {DelegatedListener} listener
+ *
+ * @returns {void}
+ */
+function removeDelegatedListener(listener) {
+  const { instance, selector, type } = listener
+  const registry = delegatedListeners[type]
+  const without = (list) => list.filter((item) => item !== listener)
+
+  listener.active = false
+
+  if (!registry) {
+    return
+  }
+
+  if (selector) {
+    const list = without(registry.elements.get(instance._element) || [])
+
+    list.length > 0 ? registry.elements.set(instance._element, list) : registry.elements.delete(instance._element)
+  } else {
+    registry.global = without(registry.global)
+  }
+
+  if (registry.elements.size === 0 && registry.global.length === 0) {
+    document.removeEventListener(type, handleDelegatedEvent)
+    delete delegatedListeners[type]
+  }
+}
+
+/**
+ * Route an event to the delegated listeners of the instances whose element is an ancestor of the target, from the
+ * innermost to the outermost, then to the listeners without selector. stopPropagation() stops the routing.
+ *
+ * @param {Event} e
+ *
+ * @returns {void}
+ */
+function handleDelegatedEvent(e) {
+  const { elements, global } = delegatedListeners[e.type]
+  // innermost element of each component met on the way up
+  const innermost = {}
+
+  for (let node = e.target instanceof Element ? e.target : null; node && !e.cancelBubble; node = node.parentElement) {
+    const listeners = elements.get(node) || []
+
+    listeners.forEach((listener) => {
+      const nameSpace = listener.instance.constructor.nameSpace
+      const target = e.target.closest(listener.selector)
+      const nested = innermost[nameSpace]
+
+      if (listener.active && target && node.contains(target) && !(nested && nested.contains(target))) {
+        listener.handler(e, target)
+      }
+    })
+
+    listeners.forEach((listener) => {
+      const nameSpace = listener.instance.constructor.nameSpace
+
+      innermost[nameSpace] = innermost[nameSpace] || node
+    })
+  }
+
+  global.forEach((listener) => {
+    if (listener.active && !e.cancelBubble) {
+      listener.handler(e, e.target)
+    }
+  })
+}
+
+/**
+ * Find a delegated listener of an instance
+ *
+ * @param {DelegatedListener[]} listeners
+ * @param {string} type
+ * @param {string|null} selector
+ * @param {Function} handler
+ *
+ * @returns {number}
+ */
+function findDelegatedListener(listeners, type, selector, handler) {
+  for (let i = 0; i < listeners.length; i++) {
+    if (listeners[i].type === type && listeners[i].selector === selector && listeners[i].handler === handler) {
+      return i
+    }
+  }
+
+  return -1
+}
+
+// ----
+// presets
+// ----
+
+/**
+ * Get the options of a preset defined with definePreset()
+ *
+ * @param {Function} Component
+ * @param {string|null|undefined} name
+ *
+ * @returns {Object|undefined}
+ */
+function getPreset(Component, name) {
+  const options = presets[Component.nameSpace] && presets[Component.nameSpace][name]
+
+  if (name && !options) {
+    console.warn(`[${Component.nameSpace}] unknown preset "${name}"`)
+  }
+
+  return options
+}
+
 // ----
 // utils
 // ----
-function foreach(element, callback) {
-  const el = getDomElements(element)
+function foreach(element, callback, root) {
+  const el = getDomElements(element, root)
   let i
 
   for (i = 0; i < el.length; i++) {
@@ -116,8 +1025,31 @@ function foreach(element, callback) {
   }
 }
 
-function getDomElements(element) {
-  return typeof element === 'string' ? document.querySelectorAll(element) : element.length >= 0 ? element : [element]
+function findListener(listeners, target, type, handler, options) {
+  const capture = getCapture(options)
+
+  for (let i = 0; i < listeners.length; i++) {
+    const listener = listeners[i]
+
+    if (
+      listener.target === target &&
+      listener.type === type &&
+      listener.handler === handler &&
+      getCapture(listener.options) === capture
+    ) {
+      return i
+    }
+  }
+
+  return -1
+}
+
+function getCapture(options) {
+  return typeof options === 'boolean' ? options : !!(options && options.capture)
+}
+
+function getDomElements(element, root = document) {
+  return typeof element === 'string' ? root.querySelectorAll(element) : element.length >= 0 ? element : [element]
 }
 
 function getDomElement(element) {
@@ -1,13 +1,20 @@
 import AbstractDomElement from './AbstractDomElement.js'
+import Breakpoints from '../utils/Breakpoints.js'
 import DOMAnimations from '../utils/DOMAnimations.js'
-import { randomId } from '../utils/helpers.js'
-import { ThrottledEvent } from 'oneloop.js'
+import { auditButton, auditHeading, auditLabel, auditRequired, isHeading } from '../utils/diagnostics.js'
+import { getTabbableElements } from '../utils/focus.js'
+import { claimId, getAvailableId, getFragmentTarget, supportsHiddenUntilFound } from '../utils/helpers.js'
+import KeyboardNavigation from '../utils/KeyboardNavigation.js'
 
 /**
  * Accordion class
  * @author Milan Ricoul
  */
 class Accordion extends AbstractDomElement {
+  /**
+   * @param {HTMLElement} element
+   * @param {Partial<AccordionOptions>} [options]
+   */
   constructor(element, options) {
     const instance = super(element, options)
 
@@ -16,32 +23,33 @@ class Accordion extends AbstractDomElement {
       return instance
     }
 
+    // mediaQuery option accepts a MediaQueryList, a media query string or a breakpoint name
+    this._settings.mediaQuery = Breakpoints.get(this._settings.mediaQuery)
+
     const { mediaQuery } = this._settings
 
     this.active = false
-    this.focus = false
-    this.breakpointLevel = 'below' // below or above breakpoint
     this.activePanel = null
-    this._onResizeHandler = onResize.bind(this)
-    this._handleButtonBlur = handleButtonBlur.bind(this)
-    this._handleButtonFocus = handleButtonFocus.bind(this)
+    this._keyboardNavigation = null
+    this._headings = []
+    this._lockedTrigger = null
+    this._onBreakpointChange = onBreakpointChange.bind(this)
     this._handleButtonClick = handleButtonClick.bind(this)
-    this._handleKeydown = handleKeydown.bind(this)
-    this._focusPreviousTab = focusPreviousTab.bind(this)
-    this._focusNextTab = focusNextTab.bind(this)
-    this._focusFirstTab = focusFirstTab.bind(this)
-    this._focusLastTab = focusLastTab.bind(this)
+    this._handleBeforeMatch = handleBeforeMatch.bind(this)
+    this._handleHashChange = handleHashChange.bind(this)
 
-    new ThrottledEvent(window, 'resize').add('resize', this._onResizeHandler)
-    this._onResizeHandler()
+    if (mediaQuery) {
+      Breakpoints.subscribe(mediaQuery, this._onBreakpointChange)
+      this.addTeardown(() => Breakpoints.unsubscribe(mediaQuery, this._onBreakpointChange))
+    }
 
     if (Boolean(mediaQuery && mediaQuery.matches) || !mediaQuery) {
       this.init()
-
-      return
+    } else {
+      deactivate.call(this)
     }
 
-    this.destroy()
+    this.initPlugins()
   }
 
   /**
@@ -53,11 +61,23 @@ class Accordion extends AbstractDomElement {
    */
   init() {
     const el = this._element
-    const { closedDefault, mediaQuery, onInit, onReachBreakpoint, panelSelector, prefixId, triggerSelector } = this._settings
-    const pattern = /\d+/g
-    const triggers = el.querySelectorAll(triggerSelector)
-    const panels = el.querySelectorAll(panelSelector)
-    const id = randomId()
+    const {
+      closedDefault,
+      headingLevel,
+      hiddenUntilFound,
+      onInit,
+      panelSelector,
+      prefixId,
+      regionLimit,
+      triggerSelector,
+    } = this._settings
+    // the triggers and panels of nested accordions are left to their own instance
+    const triggers = getTriggers.call(this)
+    const panels = getPanels.call(this)
+    // ids are derived from existing ids to match server-rendered markup
+    const id = el.dataset.id || claimId(el)
+
+    saveMarkup.call(this, triggers, panels)
 
     el.dataset.id = id
 
@@ -68,43 +88,43 @@ class Accordion extends AbstractDomElement {
 
     this.active = true
 
-    if (mediaQuery && onReachBreakpoint && pattern.test(mediaQuery.media)) {
-      if (mediaQuery.media.includes('min')) {
-        this.hasReachBreakpoint = window.innerWidth > parseInt(mediaQuery.media.match(pattern)[0]) ? 'above' : 'below'
-      }
-
-      if (mediaQuery.media.includes('max')) {
-        this.hasReachBreakpoint = window.innerWidth >= parseInt(mediaQuery.media.match(pattern)[0]) ? 'above' : 'below'
-      }
-    }
-
     if (closedDefault) {
       this._settings.forceExpand = false
     }
 
-    // Set id and ARIA attributes to the trigger
+    // Set id and ARIA attributes to the trigger and its panel, existing ids are kept
     triggers.forEach((trigger, index) => {
-      let i = index + 1
-      while (document.getElementById(`${prefixId}-${id}-${i}`)) {
-        i++
+      const panel = panels[index]
+
+      if (!trigger.id) {
+        trigger.id = getAvailableId(`${prefixId}-${id}`, index + 1)
+      }
+
+      if (panel) {
+        if (!panel.id) {
+          panel.id = getAvailableId(`${prefixId}-${id}-panel`, index + 1)
+        }
+
+        trigger.setAttribute('aria-controls', panel.id)
+        panel.setAttribute('aria-labelledby', trigger.id)
       }
 
-      trigger.id = `${prefixId}-${id}-${i}`
-      trigger.setAttribute('aria-controls', `${prefixId}-${id}-panel-${i}`)
       trigger.setAttribute('aria-expanded', `${index === 0 ? 'true' : 'false'}`)
     })
 
-    // Set id and ARIA attributes to the panel
-    panels.forEach((panel, index) => {
-      let i = index + 1
-      while (document.getElementById(`${prefixId}-${id}-panel-${i}`)) {
-        i++
-      }
-      panel.id = `${prefixId}-${id}-panel-${i}`
-      panel.setAttribute('aria-labelledby', `${prefixId}-${id}-${i}`)
+    if (headingLevel) {
+      wrapTriggers.call(this, triggers, headingLevel)
+    }
 
+    // regions are only landmarks when there are few of them
+    if (panels.length <= regionLimit) {
+      panels.forEach((panel) => panel.setAttribute('role', 'region'))
+    }
+
+    // Hide the panels
+    panels.forEach((panel, index) => {
       if (index !== 0) {
-        panel.style.display = 'none'
+        hidePanel.call(this, panel)
       }
 
       if (closedDefault) {
@@ -113,20 +133,33 @@ class Accordion extends AbstractDomElement {
       }
     })
 
-    // Add events
-    triggers.forEach((trigger) => {
-      trigger.addEventListener('click', this._handleButtonClick)
-      trigger.addEventListener('focus', this._handleButtonFocus)
-      trigger.addEventListener('blur', this._handleButtonBlur)
+    // the clicks are delegated, nested accordions handle the clicks on their own triggers
+    this.delegate('click', triggerSelector, this._handleButtonClick)
+
+    // triggerSelector can be any selector, the triggers are looked up on each key press
+    this._keyboardNavigation = new KeyboardNavigation(el, {
+      items: () => getTriggers.call(this),
+      // the expanded trigger which cannot be collapsed stays reachable
+      isDisabled: (trigger) =>
+        trigger.disabled === true ||
+        trigger.hidden ||
+        (trigger !== this._lockedTrigger && trigger.getAttribute('aria-disabled') === 'true'),
     })
 
-    document.addEventListener('keydown', this._handleKeydown)
+    updateLockedTrigger.call(this)
+
+    if (hiddenUntilFound) {
+      // find-in-page reveals the panels hidden with hidden="until-found"
+      this.delegate('beforematch', panelSelector, this._handleBeforeMatch)
+      this.addListener(window, 'hashchange', this._handleHashChange)
+      this._handleHashChange()
+    }
   }
 
   /**
-   * Destroy component
+   * Destroy component, restore the markup and remove every event
    *
-   * @returns {void}
+   * @returns {Accordion}
    *
    * @author Milan Ricoul
    */
@@ -134,88 +167,193 @@ class Accordion extends AbstractDomElement {
     this.active = false
     this.activePanel = null
 
-    const el = this._element
-    const { panelSelector, triggerSelector } = this._settings
-    const triggers = el.querySelectorAll(triggerSelector)
-    const panels = el.querySelectorAll(panelSelector)
-
-    // Remove id and ARIA attributes from the trigger
-    triggers.forEach((trigger) => {
-      trigger.removeAttribute('id')
-      trigger.removeAttribute('aria-controls')
-      trigger.removeAttribute('aria-expanded')
-    })
+    this._lockedTrigger = null
 
-    // Remove id and ARIA attributes from the panel
-    panels.forEach((panel) => {
-      panel.removeAttribute('id')
-      panel.removeAttribute('aria-labelledby')
-      panel.removeAttribute('style')
-    })
-
-    // Remove events
-    triggers.forEach((trigger) => {
-      trigger.removeEventListener('click', this._handleButtonClick)
-      trigger.removeEventListener('focus', this._handleButtonFocus)
-      trigger.removeEventListener('blur', this._handleButtonBlur)
-    })
+    getPanels.call(this).forEach((panel) => DOMAnimations.cancel(panel))
+    unwrapTriggers.call(this)
 
-    super.destroy()
+    if (this._keyboardNavigation) {
+      this._keyboardNavigation.destroy()
+    }
 
-    document.addEventListener('keydown', this._handleKeydown)
+    return super.destroy()
   }
 
   /**
-   * Open the panel
+   * Show a panel without updating its trigger, use expand() to apply the rules of a click
    *
    * @author Milan Ricoul
    *
    * @param {HTMLElement} panel panel selector
+   * @param {boolean} [focus] move the focus to the first tabbable element of the panel
    *
-   * @returns {void}
+   * @returns {Promise<boolean>} resolved once the panel is shown, false if the animation is interrupted
    */
-  open(panel) {
+  open(panel, focus = true) {
     if (!panel) {
-      return
+      return Promise.resolve(false)
     }
 
     this.activePanel = panel
 
-    const firstFocusableElement = panel.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    )[0]
+    // tabbable elements are looked up once the panel is visible
+    const focusFirstElement = () => {
+      const firstTabbableElement = getTabbableElements(panel)[0]
+
+      if (focus && firstTabbableElement) {
+        firstTabbableElement.focus()
+      }
+    }
+
+    if (this._settings.hiddenUntilFound && panel.hasAttribute('hidden')) {
+      panel.removeAttribute('hidden')
+      panel.style.display = 'none'
+    }
 
-    if (this._settings.hasAnimation && window.getComputedStyle(panel).display === 'none') {
-      DOMAnimations.slideDown(panel, 500, () => {
-        if (firstFocusableElement) {
-          firstFocusableElement.focus()
+    if (this._settings.hasAnimation) {
+      // a panel being closed is opened again from its current height
+      return DOMAnimations.show(panel, getAnimationOptions.call(this)).then((shown) => {
+        if (shown) {
+          focusFirstElement()
         }
+
+        return shown
       })
-    } else {
-      panel.style.display = 'block'
-      if (firstFocusableElement) {
-        firstFocusableElement.focus()
-      }
     }
 
-    return
+    panel.style.display = 'block'
+    focusFirstElement()
+
+    return Promise.resolve(true)
   }
 
   /**
-   * Close the panel
+   * Hide a panel without updating its trigger, use collapse() to apply the rules of a click
    *
    * @param {HTMLElement} panel panel selector
    *
-   * @returns {void}
+   * @returns {Promise<boolean>} resolved once the panel is hidden, false if the animation is interrupted
    *
    * @author Milan Ricoul
    */
   close(panel) {
-    this._settings.hasAnimation ? DOMAnimations.slideUp(panel) : (panel.style.display = 'none')
+    if (this._settings.hasAnimation) {
+      return DOMAnimations.hide(panel, getAnimationOptions.call(this)).then((hidden) => {
+        if (hidden) {
+          hidePanel.call(this, panel)
+        }
+
+        return hidden
+      })
+    }
+
+    hidePanel.call(this, panel)
+
+    return Promise.resolve(true)
   }
 
   /**
-   * Check if panel is closed
+   * Expand a panel with the rules of a click: the other panels are collapsed if allowMultiple is false, the before
+   * events can cancel the change and onOpen and onClose are called. The focus is not moved.
+   *
+   * @example accordion.expand(1).then((expanded) => {})
+   *
+   * @param {number|HTMLElement} target index, trigger or panel
+   *
+   * @returns {Promise<boolean>} resolved once the panels are animated, false if the change is cancelled
+   */
+  expand(target) {
+    const trigger = this.active ? getTrigger.call(this, target) : null
+    const panel = trigger && getPanel(trigger)
+
+    if (!panel) {
+      return Promise.resolve(false)
+    }
+
+    if (trigger.getAttribute('aria-expanded') === 'true') {
+      return Promise.resolve(true)
+    }
+
+    return expandPanel.call(this, trigger, panel, false)
+  }
+
+  /**
+   * Collapse a panel with the rules of a click, the last expanded panel is kept if forceExpand is true
+   *
+   * @param {number|HTMLElement} target index, trigger or panel
+   *
+   * @returns {Promise<boolean>} resolved once the panel is animated, false if the change is cancelled or not allowed
+   */
+  collapse(target) {
+    const trigger = this.active ? getTrigger.call(this, target) : null
+    const panel = trigger && getPanel(trigger)
+
+    if (!panel) {
+      return Promise.resolve(false)
+    }
+
+    if (trigger.getAttribute('aria-expanded') !== 'true') {
+      return Promise.resolve(true)
+    }
+
+    return canCollapse.call(this) ? collapsePanel.call(this, trigger, panel) : Promise.resolve(false)
+  }
+
+  /**
+   * Expand a collapsed panel or collapse an expanded panel
+   *
+   * @param {number|HTMLElement} target index, trigger or panel
+   *
+   * @returns {Promise<boolean>}
+   */
+  toggle(target) {
+    const trigger = this.active ? getTrigger.call(this, target) : null
+
+    return trigger && trigger.getAttribute('aria-expanded') === 'true' ? this.collapse(trigger) : this.expand(trigger)
+  }
+
+  /**
+   * Expand every panel, only the first panel is expanded if allowMultiple is false
+   *
+   * @returns {Promise<boolean>}
+   */
+  expandAll() {
+    const triggers = this.active ? getTriggers.call(this) : []
+    const expanding = this._settings.allowMultiple ? triggers : triggers.slice(0, 1)
+
+    return Promise.all(expanding.map((trigger) => this.expand(trigger))).then((results) => results.every(Boolean))
+  }
+
+  /**
+   * Collapse every panel, the last expanded panel is kept if forceExpand is true
+   *
+   * @returns {Promise<boolean>}
+   */
+  collapseAll() {
+    return Promise.all(this.getExpanded().map((panel) => this.collapse(panel))).then((results) =>
+      results.every(Boolean)
+    )
+  }
+
+  /**
+   * Get the expanded panels
+   *
+   * @returns {HTMLElement[]}
+   */
+  getExpanded() {
+    if (!this.active) {
+      return []
+    }
+
+    return getTriggers
+      .call(this)
+      .filter((trigger) => trigger.getAttribute('aria-expanded') === 'true')
+      .map(getPanel)
+      .filter(Boolean)
+  }
+
+  /**
+   * Check if panel is closed, a panel being closed is closed
    *
    * @author Milan Ricoul
    *
@@ -224,221 +362,577 @@ class Accordion extends AbstractDomElement {
    * @returns {Boolean}
    */
   isClosed(panel) {
-    return window.getComputedStyle(panel).display === 'none'
+    return panel.hasAttribute('hidden') || !DOMAnimations.isVisible(panel)
+  }
+
+  /**
+   * Get the state of the accordion
+   *
+   * @returns {{expanded: number[]}} indexes of the expanded panels
+   */
+  getState() {
+    return {
+      expanded: getTriggers
+        .call(this)
+        .reduce(
+          (expanded, trigger, index) =>
+            trigger.getAttribute('aria-expanded') === 'true' ? expanded.concat(index) : expanded,
+          []
+        ),
+    }
+  }
+
+  /**
+   * Expand and collapse panels without animation nor focus change
+   *
+   * @param {Object} state
+   * @param {number[]} state.expanded indexes of the expanded panels, only the first one is kept if allowMultiple is false
+   *
+   * @returns {void}
+   */
+  applyState({ expanded }) {
+    if (!this.active || !Array.isArray(expanded)) {
+      return
+    }
+
+    const indexes = this._settings.allowMultiple ? expanded : expanded.slice(0, 1)
+
+    getTriggers.call(this).forEach((trigger, index) => {
+      const panel = document.getElementById(trigger.getAttribute('aria-controls'))
+      const isExpanded = indexes.indexOf(index) !== -1
+
+      if (!panel || isExpanded === (trigger.getAttribute('aria-expanded') === 'true')) {
+        return
+      }
+
+      trigger.setAttribute('aria-expanded', `${isExpanded}`)
+      DOMAnimations.cancel(panel)
+
+      if (isExpanded) {
+        panel.removeAttribute('hidden')
+        panel.style.display = 'block'
+        this.activePanel = panel
+      } else {
+        hidePanel.call(this, panel)
+      }
+
+      this.dispatch(isExpanded ? 'open' : 'close', { panel, trigger })
+    })
+
+    updateLockedTrigger.call(this)
+  }
+
+  /**
+   * Check the triggers and panels
+   *
+   * @returns {import('./AbstractDomElement.js').AuditIssue[]}
+   */
+  audit() {
+    const el = this._element
+    const { triggerSelector } = this._settings
+    const triggers = getTriggers.call(this)
+    const panels = getPanels.call(this)
+    let issues = super
+      .audit()
+      .concat(auditRequired(triggers[0], `no trigger matches triggerSelector "${triggerSelector}"`, el))
+
+    if (triggers.length !== panels.length) {
+      issues.push({ message: `${triggers.length} triggers for ${panels.length} panels`, element: el })
+    }
+
+    triggers.forEach((trigger) => {
+      issues = issues.concat(auditButton(trigger, 'trigger'), auditHeading(trigger, 'trigger'))
+    })
+
+    panels.forEach((panel) => {
+      issues = issues.concat(auditLabel(panel, 'panel'))
+    })
+
+    return issues
   }
 }
 
 /**
- * Handle tab button focus
+ * Save the attributes updated by the component, restored on destroy
+ *
+ * @param {NodeList} triggers accordion triggers
+ * @param {NodeList} panels accordion panels
  *
  * @returns {void}
+ */
+function saveMarkup(triggers, panels) {
+  this.saveAttributes(this._element, ['data-id'])
+  this.saveAttributes(triggers, ['id', 'aria-controls', 'aria-disabled', 'aria-expanded'])
+  this.saveAttributes(panels, ['id', 'aria-labelledby', 'hidden', 'role', 'style'])
+}
+
+/**
+ * Wrap the triggers which are not in a heading in an element with the heading role
  *
- * @author Milan Ricoul
+ * @param {HTMLElement[]} triggers
+ * @param {number} level aria-level of the headings
+ *
+ * @returns {void}
  */
-function handleButtonFocus() {
-  this.focus = true
+function wrapTriggers(triggers, level) {
+  triggers
+    .filter((trigger) => !isHeading(trigger.parentElement))
+    .forEach((trigger) => {
+      const heading = document.createElement('div')
+
+      heading.setAttribute('role', 'heading')
+      heading.setAttribute('aria-level', `${level}`)
+      trigger.before(heading)
+      heading.appendChild(trigger)
+      this._headings.push(heading)
+    })
 }
 
 /**
- * Handle tab button blur
+ * Remove the headings added around the triggers
  *
  * @returns {void}
+ */
+function unwrapTriggers() {
+  this._headings.splice(0).forEach((heading) => heading.replaceWith.apply(heading, heading.childNodes))
+}
+
+/**
+ * Set aria-disabled="true" on the expanded trigger if forceExpand prevents collapsing it
  *
- * @author Milan Ricoul
+ * @returns {void}
  */
-function handleButtonBlur() {
-  this.focus = false
+function updateLockedTrigger() {
+  const expanded = this.getExpanded()
+  const trigger = expanded.length === 1 && !canCollapse.call(this) ? getTrigger.call(this, expanded[0]) : null
+
+  if (this._lockedTrigger && this._lockedTrigger !== trigger) {
+    this._lockedTrigger.removeAttribute('aria-disabled')
+  }
+
+  if (trigger) {
+    trigger.setAttribute('aria-disabled', 'true')
+  }
+
+  this._lockedTrigger = trigger
 }
 
 /**
- * Handle trigger button click
+ * Hide a panel with hidden="until-found" if the hiddenUntilFound option is set and the browser supports it, with
+ * display: none otherwise
  *
- * @param {MouseEvent} e click event handler
+ * @param {HTMLElement} panel
+ *
+ * @returns {void}
+ */
+function hidePanel(panel) {
+  if (this._settings.hiddenUntilFound && supportsHiddenUntilFound()) {
+    panel.style.removeProperty('display')
+    panel.setAttribute('hidden', 'until-found')
+  } else {
+    panel.style.display = 'none'
+  }
+}
+
+/**
+ * Get the options of the panel animations
+ *
+ * @returns {import('../utils/DOMAnimations.js').AnimationOptions}
+ */
+function getAnimationOptions() {
+  const { animationDuration, animationEasing, animationPreset } = this._settings
+
+  return { duration: animationDuration, easing: animationEasing, preset: animationPreset }
+}
+
+/**
+ * Remove generated ids, ARIA attributes and events when the media query does not match, every panel is visible
  *
  * @returns {void}
  *
  * @author Milan Ricoul
  */
-function handleButtonClick(e) {
-  const el = this._element
-  const s = this._settings
-  const { allowMultiple, forceExpand, onClose, onOpen, panelSelector } = this._settings
-  const trigger = e.currentTarget
-  const panel = document.getElementById(trigger.getAttribute('aria-controls'))
+function deactivate() {
+  this.active = false
+  this.activePanel = null
+  this._lockedTrigger = null
 
-  if (
-    trigger.getAttribute('aria-expanded') === 'true' &&
-    (!forceExpand ||
-      (forceExpand && allowMultiple && el.querySelectorAll(`${s.triggerSelector}[aria-expanded="true"]`).length > 1))
-  ) {
-    trigger.setAttribute('aria-expanded', 'false')
-    this.close(panel)
+  if (this._keyboardNavigation) {
+    this._keyboardNavigation.destroy()
+  }
 
-    if (onClose) {
-      onClose.bind(this)(panel)
-    }
-  } else {
-    if (!allowMultiple) {
-      el.querySelectorAll(panelSelector).forEach((panel) => {
-        if (panel.id !== trigger.getAttribute('aria-controls')) {
-          document.getElementById(panel.getAttribute('aria-labelledby')).setAttribute('aria-expanded', 'false')
-
-          if (!this.isClosed(panel)) {
-            this.close(panel)
-
-            if (onClose) {
-              onClose.bind(this)(panel)
-            }
-          }
-        }
-      })
-    }
+  unwrapTriggers.call(this)
+
+  const triggers = getTriggers.call(this)
+  const panels = getPanels.call(this)
+
+  // generated ids are removed, ids of the original markup are kept
+  this.restoreAttributes()
+  saveMarkup.call(this, triggers, panels)
+
+  triggers.forEach((trigger) => {
+    trigger.removeAttribute('aria-expanded')
+  })
 
-    trigger.setAttribute('aria-expanded', 'true')
-    this.open(panel)
+  panels.forEach((panel) => {
+    DOMAnimations.cancel(panel)
+    panel.removeAttribute('style')
 
-    if (onOpen) {
-      onOpen.bind(this)(panel)
+    if (this._settings.hiddenUntilFound) {
+      panel.removeAttribute('hidden')
     }
-  }
+  })
+
+  this.removeListeners()
 }
 
 /**
- * Handle keyboard keydown
+ * Handle trigger button click, an expanded panel that cannot be collapsed is expanded again
  *
- * @param {KeyboardEvent} e Keyboard keydown event
+ * @param {MouseEvent} e click event handler
+ * @param {HTMLElement} trigger clicked trigger
  *
  * @returns {void}
  *
  * @author Milan Ricoul
  */
-function handleKeydown(e) {
-  if (!this.focus) {
+function handleButtonClick(e, trigger) {
+  const panel = getPanel(trigger)
+
+  // triggers added after the initialization have no panel, the triggers of a nested accordion are not handled
+  if (!panel || getTriggers.call(this).indexOf(trigger) === -1) {
     return
   }
 
-  switch (e.code) {
-    case 'ArrowUp':
-      e.preventDefault()
-      this._focusPreviousTab()
-      break
-    case 'ArrowDown':
-      e.preventDefault()
-      this._focusNextTab()
-      break
-    case 'Home':
-      e.preventDefault()
-      this._focusFirstTab()
-      break
-    case 'End':
-      e.preventDefault()
-      this._focusLastTab()
-      break
+  if (trigger.getAttribute('aria-expanded') === 'true' && canCollapse.call(this)) {
+    collapsePanel.call(this, trigger, panel)
+  } else {
+    expandPanel.call(this, trigger, panel, true)
   }
 }
 
 /**
- * Focus the previous trigger. If not previous trigger, focus the last trigger.
+ * Expand the panel revealed by find-in-page, the panel is hidden again if the change is cancelled
  *
- * @returns {void}
+ * @param {Event} e beforematch event
+ * @param {HTMLElement} panel revealed panel
  *
- * @author Milan Ricoul
+ * @returns {void}
  */
-function focusPreviousTab() {
-  const s = this._settings
-  const activeElement = document.activeElement
-  const triggers = this._element.querySelectorAll(s.triggerSelector)
-  const triggersCount = triggers.length
-
-  if (activeElement.classList.contains(s.triggerSelector.substring(1))) {
-    const currentIndexOfActiveElement = Array.prototype.indexOf.call(triggers, activeElement)
+function handleBeforeMatch(e, panel) {
+  const trigger = getTrigger.call(this, panel)
 
-    triggers[currentIndexOfActiveElement === 0 ? triggersCount - 1 : currentIndexOfActiveElement - 1].focus()
+  // a panel without trigger is not managed by the instance
+  if (getPanels.call(this).indexOf(panel) === -1 || !trigger) {
+    return
   }
+
+  this.expand(panel).then((expanded) => {
+    // the browser removes the hidden attribute after the event
+    if (!expanded && trigger.getAttribute('aria-expanded') !== 'true') {
+      window.setTimeout(() => hidePanel.call(this, panel))
+    }
+  })
 }
 
 /**
- * Focus the next trigger. If not next trigger, focus the first trigger.
+ * Expand the panel containing the element targeted by the URL fragment, then scroll to the element
  *
  * @returns {void}
+ */
+function handleHashChange() {
+  const target = getFragmentTarget()
+  const panel = target && getPanels.call(this).find((item) => item.contains(target))
+  const trigger = panel && getTrigger.call(this, panel)
+
+  if (trigger && trigger.getAttribute('aria-expanded') !== 'true') {
+    this.expand(panel).then((expanded) => {
+      if (expanded) {
+        target.scrollIntoView()
+      }
+    })
+  }
+}
+
+/**
+ * Get the triggers of the accordion, without the triggers of nested accordions
  *
- * @author Milan Ricoul
+ * @returns {HTMLElement[]}
+ */
+function getTriggers() {
+  return getOwnElements.call(this, this._settings.triggerSelector)
+}
+
+/**
+ * Get the panels of the accordion, without the panels of nested accordions
+ *
+ * @returns {HTMLElement[]}
+ */
+function getPanels() {
+  return getOwnElements.call(this, this._settings.panelSelector)
+}
+
+/**
+ * Get the elements matching a selector in the accordion which are not in one of its panels, the elements in a panel
+ * belong to a nested accordion
+ *
+ * @param {string} selector
+ *
+ * @returns {HTMLElement[]}
  */
-function focusNextTab() {
-  const s = this._settings
-  const activeElement = document.activeElement
-  const triggers = this._element.querySelectorAll(s.triggerSelector)
-  const triggersCount = triggers.length
+function getOwnElements(selector) {
+  const el = this._element
+  const { panelSelector } = this._settings
+
+  return Array.prototype.filter.call(el.querySelectorAll(selector), (element) => {
+    const panel = element.parentElement.closest(panelSelector)
 
-  if (activeElement.classList.contains(s.triggerSelector.substring(1))) {
-    const currentIndexOfActiveElement = Array.prototype.indexOf.call(triggers, activeElement)
+    return !panel || panel === el || !el.contains(panel)
+  })
+}
 
-    triggers[currentIndexOfActiveElement === triggersCount - 1 ? 0 : currentIndexOfActiveElement + 1].focus()
+/**
+ * Get the panel controlled by a trigger
+ *
+ * @param {HTMLElement} trigger
+ *
+ * @returns {HTMLElement|null}
+ */
+function getPanel(trigger) {
+  return document.getElementById(trigger.getAttribute('aria-controls'))
+}
+
+/**
+ * Get the trigger matching an index, a trigger or a panel
+ *
+ * @param {number|HTMLElement} target index, trigger or panel
+ *
+ * @returns {HTMLElement|null}
+ */
+function getTrigger(target) {
+  const triggers = getTriggers.call(this)
+
+  if (typeof target === 'number') {
+    return triggers[target] || null
   }
+
+  return (
+    triggers.find(
+      (trigger) => trigger === target || (target && target.id && trigger.getAttribute('aria-controls') === target.id)
+    ) || null
+  )
 }
 
 /**
- * Focus the first trigger.
+ * Check if an expanded panel can be collapsed, forceExpand keeps the last expanded panel
  *
- * @returns {void}
+ * @returns {boolean}
+ */
+function canCollapse() {
+  const { allowMultiple, forceExpand } = this._settings
+
+  return !forceExpand || (allowMultiple && this.getExpanded().length > 1)
+}
+
+/**
+ * Expand a panel and collapse the other panels if allowMultiple is false
  *
- * @author Milan Ricoul
+ * @param {HTMLElement} trigger
+ * @param {HTMLElement} panel
+ * @param {boolean} focus move the focus to the first tabbable element of the panel
+ *
+ * @returns {Promise<boolean>} false if the change is cancelled or an animation is interrupted
  */
-function focusFirstTab() {
-  this._element.querySelectorAll(this._settings.triggerSelector)[0].focus()
+function expandPanel(trigger, panel, focus) {
+  const { allowMultiple, onClose, onOpen } = this._settings
+  const siblingPanels = allowMultiple
+    ? []
+    : getPanels.call(this).filter((siblingPanel) => siblingPanel.id !== trigger.getAttribute('aria-controls'))
+  const closingPanels = siblingPanels.filter((siblingPanel) => !this.isClosed(siblingPanel))
+
+  if (
+    !this.dispatch('beforeopen', { panel, trigger }) ||
+    closingPanels.some(
+      (closingPanel) =>
+        !this.dispatch('beforeclose', {
+          panel: closingPanel,
+          trigger: document.getElementById(closingPanel.getAttribute('aria-labelledby')),
+        })
+    )
+  ) {
+    return Promise.resolve(false)
+  }
+
+  const animations = []
+
+  siblingPanels.forEach((siblingPanel) => {
+    const siblingTrigger = document.getElementById(siblingPanel.getAttribute('aria-labelledby'))
+
+    siblingTrigger.setAttribute('aria-expanded', 'false')
+
+    if (closingPanels.includes(siblingPanel)) {
+      animations.push(this.close(siblingPanel))
+
+      if (onClose) {
+        onClose.bind(this)(siblingPanel)
+      }
+
+      this.dispatch('close', { panel: siblingPanel, trigger: siblingTrigger })
+    }
+  })
+
+  trigger.setAttribute('aria-expanded', 'true')
+  updateLockedTrigger.call(this)
+  animations.push(this.open(panel, focus))
+
+  if (onOpen) {
+    onOpen.bind(this)(panel)
+  }
+
+  this.dispatch('open', { panel, trigger })
+  this.announce(this.t('expanded', { label: trigger.textContent.trim() }))
+
+  return Promise.all(animations).then((results) => results.every(Boolean))
 }
 
 /**
- * Focus the last trigger.
+ * Collapse a panel
  *
- * @returns {void}
+ * @param {HTMLElement} trigger
+ * @param {HTMLElement} panel
  *
- * @author Milan Ricoul
+ * @returns {Promise<boolean>} false if the change is cancelled or the animation is interrupted
  */
-function focusLastTab() {
-  const s = this._settings
-  const triggers = this._element.querySelectorAll(s.triggerSelector)
-  const triggersCount = triggers.length
+function collapsePanel(trigger, panel) {
+  const { onClose } = this._settings
 
-  triggers[triggersCount - 1].focus()
+  if (!this.dispatch('beforeclose', { panel, trigger })) {
+    return Promise.resolve(false)
+  }
+
+  trigger.setAttribute('aria-expanded', 'false')
+  updateLockedTrigger.call(this)
+
+  const animation = this.close(panel)
+
+  if (onClose) {
+    onClose.bind(this)(panel)
+  }
+
+  this.dispatch('close', { panel, trigger })
+  this.announce(this.t('collapsed', { label: trigger.textContent.trim() }))
+
+  return animation
 }
 
 /**
- * Events
+ * Handle media query change
  *
  * @returns {void}
  *
  * @author Milan Ricoul
  */
-function onResize() {
+function onBreakpointChange() {
   const { mediaQuery, onReachBreakpoint } = this._settings
-  const pattern = /\d+/g
 
-  if (onReachBreakpoint && pattern.test(mediaQuery.media) && (this.hasReachBreakpoint === 'above' && window.innerWidth <= parseInt(mediaQuery.media.match(pattern)[0])) || (this.hasReachBreakpoint === 'below' && window.innerWidth > parseInt(mediaQuery.media.match(pattern)[0]))) {
-    this.hasReachBreakpoint = this.hasReachBreakpoint === 'above' ? 'below' : 'above'
+  if (onReachBreakpoint) {
     onReachBreakpoint.bind(this)(mediaQuery.matches)
   }
 
-  if (!this.active && ((mediaQuery && mediaQuery.matches) || !mediaQuery)) {
+  if (!this.active && mediaQuery.matches) {
     this.init()
-  } else if (this.active && mediaQuery && !mediaQuery.matches) {
-    this.destroy()
+  } else if (this.active && !mediaQuery.matches) {
+    deactivate.call(this)
   }
 }
 
+Accordion.nameSpace = 'Accordion'
+
+/**
+ * @typedef {Object} AccordionOptions
+ * @property {boolean} allowMultiple allow several panels to be expanded at the same time
+ * @property {number} animationDuration duration of the panel animations in milliseconds
+ * @property {string} animationEasing CSS easing function of the panel animations
+ * @property {string} animationPreset animation preset: slide, fade or slide-fade
+ * @property {boolean} announce announce the expanded and collapsed panels to screen readers
+ * @property {boolean} closedDefault close every panel on initialization
+ * @property {boolean} debug validate the options and audit the markup
+ * @property {boolean} forceExpand keep at least one panel expanded, the expanded trigger gets aria-disabled="true" when
+ * it cannot be collapsed
+ * @property {number|null} headingLevel aria-level of the headings wrapping the triggers which are not in a heading,
+ * the triggers are not wrapped if null
+ * @property {boolean} hasAnimation animate the panels when they are opened and closed
+ * @property {boolean} hiddenUntilFound hide the collapsed panels with hidden="until-found", find-in-page and links to
+ * their content expand them
+ * @property {string|null} locale locale of the messages
+ * @property {MediaQueryList|string|null} mediaQuery media query, breakpoint name or MediaQueryList
+ * @property {Object<string, string>} messages messages overriding the catalog
+ * @property {((this: Accordion, element: HTMLElement) => void)|null} onInit
+ * @property {((this: Accordion, matches: boolean) => void)|null} onReachBreakpoint
+ * @property {((this: Accordion, panel: HTMLElement) => void)|null} onOpen
+ * @property {((this: Accordion, panel: HTMLElement) => void)|null} onClose
+ * @property {string} panelSelector
+ * @property {import('./AbstractDomElement.js').Plugin[]} plugins plugins of the instance, added to the registered plugins
+ * @property {string} prefixId prefix of the generated ids
+ * @property {string|null} preset name of a preset defined with definePreset()
+ * @property {number} regionLimit maximum number of panels getting the region role
+ * @property {string} triggerSelector
+ */
+
+/** @type {AccordionOptions} */
 Accordion.defaults = {
   allowMultiple: false,
+  animationDuration: 500,
+  animationEasing: 'ease',
+  animationPreset: 'slide',
+  announce: true,
   closedDefault: false,
+  debug: false,
   forceExpand: true,
   hasAnimation: false,
+  headingLevel: null,
+  hiddenUntilFound: false,
+  locale: null,
   mediaQuery: null,
+  messages: {},
   onInit: null,
   onReachBreakpoint: null,
   onOpen: null,
   onClose: null,
   panelSelector: '.accordion__panel',
+  plugins: [],
   prefixId: 'accordion',
+  preset: null,
+  regionLimit: 6,
   triggerSelector: '.accordion__trigger',
 }
 
+/** @type {Object<string, string>} */
+Accordion.schema = {
+  allowMultiple: 'boolean',
+  animationDuration: 'number',
+  animationEasing: 'string',
+  animationPreset: 'string',
+  announce: 'boolean',
+  closedDefault: 'boolean',
+  debug: 'boolean',
+  forceExpand: 'boolean',
+  hasAnimation: 'boolean',
+  headingLevel: 'number|null',
+  hiddenUntilFound: 'boolean',
+  locale: 'string|null',
+  mediaQuery: 'mediaQuery|null',
+  messages: 'object',
+  onInit: 'function|null',
+  onReachBreakpoint: 'function|null',
+  onOpen: 'function|null',
+  onClose: 'function|null',
+  panelSelector: 'selector',
+  plugins: 'object',
+  prefixId: 'string',
+  preset: 'string|null',
+  regionLimit: 'number',
+  triggerSelector: 'selector',
+}
+
 export default Accordion
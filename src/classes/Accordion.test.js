@@ -1,5 +1,37 @@
 import { expect, test } from '@playwright/test'
 
+const SECTIONS =
+  '<button class="accordion__trigger">One</button><div class="accordion__panel">One</div>' +
+  '<button class="accordion__trigger">Two</button><div class="accordion__panel">Two</div>'
+
+/**
+ * Add an accordion to the example page, initialized with the options unless they are null
+ *
+ * @param {import('@playwright/test').Page} page
+ * @param {string} id
+ * @param {string} markup
+ * @param {Object|null} options
+ *
+ * @returns {Promise<void>}
+ */
+async function addAccordion(page, id, markup = SECTIONS, options = {}) {
+  await page.evaluate(
+    async (fixture) => {
+      const { Accordion } = await import('/be-a11y.js')
+      const element = document.createElement('div')
+
+      element.id = fixture.id
+      element.innerHTML = fixture.markup
+      document.body.append(element)
+
+      if (fixture.options) {
+        new Accordion(element, fixture.options)
+      }
+    },
+    { id, markup, options }
+  )
+}
+
 test.describe('Accordion', () => {
   test.beforeEach(async({page}) => {
     await page.goto('http://localhost:5173/examples/accessible-accordion/index.html')
@@ -78,4 +110,457 @@ test.describe('Accordion', () => {
 
     expect(await page.evaluate(elem => window.document.activeElement === elem, lastAccordionTab)).toEqual(true)
   })
+
+  test('Resize the window across the media query breakpoint, expect the accordion is initialized then destroyed.', async ({
+    page,
+  }) => {
+    const trigger = page.locator('#accordion-demo-7 .accordion__trigger').first()
+
+    await page.setViewportSize({ width: 500, height: 800 })
+    await expect(trigger).toHaveAttribute('aria-controls')
+
+    await page.setViewportSize({ width: 800, height: 800 })
+    await expect(trigger).not.toHaveAttribute('aria-controls')
+  })
+
+  test('Destroy the instances within an accordion, expect only this accordion is destroyed.', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const element = document.getElementById('accordion-demo-1')
+      const Accordion = element.beapi.Accordion.constructor
+      const count = Accordion.getInstances().length
+
+      Accordion.destroyWithin(element)
+
+      return {
+        destroyed: count - Accordion.getInstances().length,
+        hasInstance: Accordion.hasInstance(element),
+        hasSiblingInstance: Accordion.hasInstance('#accordion-demo-2'),
+      }
+    })
+
+    expect(result).toEqual({ destroyed: 1, hasInstance: false, hasSiblingInstance: true })
+  })
+
+  test('Initialize accordions with a root, expect only the accordions inside the root are initialized.', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(() => {
+      const element = document.getElementById('accordion-demo-2')
+      const Accordion = element.beapi.Accordion.constructor
+      const region = document.createElement('section')
+
+      element.before(region)
+      region.append(element)
+
+      Accordion.destroyAll()
+      Accordion.init('.accordion', {}, { root: region })
+
+      return Accordion.getInstances().map((instance) => instance._element.id)
+    })
+
+    expect(result).toEqual(['accordion-demo-2'])
+  })
+
+  test('Restore a state silently, expect the panels are expanded without any event.', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const accordion = document.getElementById('accordion-demo-3').beapi.Accordion
+      let events = 0
+
+      accordion.on('open', () => events++)
+      accordion.on('close', () => events++)
+      accordion.setState({ expanded: [1, 2] }, { silent: true })
+
+      return { events, state: accordion.getState() }
+    })
+
+    expect(result).toEqual({ events: 0, state: { expanded: [1, 2] } })
+  })
+
+  test('Load the page, expect the ids of the accordion are derived from its id.', async ({ page }) => {
+    await expect(page.locator('#accordion-demo-1')).toHaveAttribute('data-id', 'accordion-demo-1')
+    await expect(page.locator('#accordion-demo-1 .accordion__trigger').first()).toHaveAttribute(
+      'aria-controls',
+      'accordion-accordion-demo-1-panel-1'
+    )
+  })
+
+  test('Audit an accordion with a trigger that is not a button, expect an issue with the offending trigger.', async ({
+    page,
+  }) => {
+    await addAccordion(
+      page,
+      'accordion-audit',
+      '<h3><div class="accordion__trigger">Shipping</div></h3><div class="accordion__panel">Free shipping</div>'
+    )
+
+    const result = await page.evaluate(() =>
+      document
+        .getElementById('accordion-audit')
+        .beapi.Accordion.audit()
+        .map(({ message, element }) => `${message} ${element.className}`)
+    )
+
+    expect(result).toEqual(['the trigger is not a button, use a <button> element or role="button" accordion__trigger'])
+  })
+
+  test('Press ArrowDown on a trigger matched by an attribute selector, expect the next trigger is focused.', async ({
+    page,
+  }) => {
+    await addAccordion(
+      page,
+      'accordion-attribute-selectors',
+      '<button data-trigger>One</button><div data-panel>One</div><button data-trigger>Two</button><div data-panel>Two</div>',
+      { panelSelector: '[data-panel]', triggerSelector: '[data-trigger]' }
+    )
+
+    await page.focus('#accordion-attribute-selectors [data-trigger]')
+    await page.keyboard.press('ArrowDown')
+
+    await expect(page.locator('#accordion-attribute-selectors [data-trigger]').nth(1)).toBeFocused()
+  })
+
+  test('Open the second panel then the first one during the animation, expect the first panel stays open.', async ({
+    page,
+  }) => {
+    const triggers = page.locator('#accordion-demo-2 .accordion__trigger')
+    const panels = page.locator('#accordion-demo-2 .accordion__panel')
+
+    await triggers.nth(1).click()
+    await triggers.nth(0).click()
+
+    await expect(panels.nth(1)).toBeHidden()
+    await expect(panels.nth(0)).toBeVisible()
+    await expect(triggers.nth(0)).toHaveAttribute('aria-expanded', 'true')
+  })
+
+  test('Open a panel when the user prefers reduced motion, expect the panel is shown without animation.', async ({
+    page,
+  }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' })
+    await page.locator('#accordion-demo-2 .accordion__trigger').nth(1).click()
+
+    const animations = await page
+      .locator('#accordion-demo-2 .accordion__panel')
+      .nth(1)
+      .evaluate((panel) => ({ count: panel.getAnimations().length, display: panel.style.display }))
+
+    expect(animations).toEqual({ count: 0, display: 'block' })
+  })
+
+  test('Initialize an accordion with a plugin, expect its option, method and hooks are added to the instance.', async ({
+    page,
+  }) => {
+    await addAccordion(page, 'accordion-plugin', SECTIONS, null)
+
+    const result = await page.evaluate(async () => {
+      const { Accordion } = await import('/be-a11y.js')
+      const element = document.getElementById('accordion-plugin')
+      const changes = []
+      const persistence = {
+        name: 'persistence',
+        components: ['Accordion'],
+        defaults: { storageKey: 'accordion' },
+        methods: {
+          getStorageKey() {
+            return this._settings.storageKey
+          },
+        },
+        init: () => changes.push('init'),
+        afterChange: (instance, change) => changes.push(change.type),
+        destroy: () => changes.push('destroy'),
+      }
+
+      const accordion = new Accordion(element, { plugins: [persistence], storageKey: 'faq' })
+
+      changes.push('constructed')
+      element.querySelectorAll('.accordion__trigger')[1].click()
+      accordion.destroy()
+
+      return { key: accordion.getStorageKey(), changes }
+    })
+
+    expect(result.key).toBe('faq')
+    expect(result.changes.slice(0, 2)).toEqual(['init', 'constructed'])
+    expect(result.changes).toContain('open')
+    expect(result.changes[result.changes.length - 1]).toBe('destroy')
+  })
+
+  test('Initialize an accordion with a plugin failing to initialize, expect the constructor throws its error.', async ({
+    page,
+  }) => {
+    await addAccordion(page, 'accordion-plugin-error', SECTIONS, null)
+
+    const message = await page.evaluate(async () => {
+      const { Accordion } = await import('/be-a11y.js')
+      const broken = {
+        name: 'broken',
+        init: () => {
+          throw new Error('broken plugin')
+        },
+      }
+
+      try {
+        new Accordion(document.getElementById('accordion-plugin-error'), { plugins: [broken] })
+      } catch (error) {
+        return error.message
+      }
+
+      return null
+    })
+
+    expect(message).toBe('broken plugin')
+  })
+
+  test('Register a plugin cancelling the changes, expect the panels of a new accordion are not opened.', async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const { Accordion } = await import('/be-a11y.js')
+
+      Accordion.use({ name: 'locked', beforeChange: (instance, change) => change.type !== 'open' })
+    })
+    await addAccordion(page, 'accordion-locked', SECTIONS, { closedDefault: true })
+
+    await page.locator('#accordion-locked .accordion__trigger').first().click()
+
+    await expect(page.locator('#accordion-locked .accordion__trigger').first()).toHaveAttribute(
+      'aria-expanded',
+      'false'
+    )
+  })
+
+  test('Initialize an accordion with a preset, expect the instance options override the preset and the configuration.', async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const { Accordion, configure } = await import('/be-a11y.js')
+
+      configure({ components: { Accordion: { allowMultiple: true, forceExpand: false, prefixId: 'configured' } } })
+      Accordion.definePreset('faq', { forceExpand: true, prefixId: 'preset' })
+    })
+    await addAccordion(page, 'accordion-preset', SECTIONS, { preset: 'faq', prefixId: 'faq' })
+
+    const result = await page.evaluate(async () => {
+      const { resetConfig } = await import('/be-a11y.js')
+      const element = document.getElementById('accordion-preset')
+      const { allowMultiple, forceExpand, prefixId } = element.beapi.Accordion._settings
+
+      resetConfig()
+
+      return { allowMultiple, forceExpand, prefixId, id: element.querySelector('.accordion__trigger').id.split('-')[0] }
+    })
+
+    expect(result).toEqual({ allowMultiple: true, forceExpand: true, prefixId: 'faq', id: 'faq' })
+  })
+
+  test('Expand a panel by index, expect the trigger is updated, the other panel is collapsed and the promise resolves.', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const accordion = document.getElementById('accordion-demo-2').beapi.Accordion
+      const expanded = await accordion.expand(1)
+
+      return { expanded, panels: accordion.getExpanded().map((panel) => panel.style.display) }
+    })
+    const triggers = page.locator('#accordion-demo-2 .accordion__trigger')
+
+    expect(result).toEqual({ expanded: true, panels: [''] })
+    await expect(triggers.nth(0)).toHaveAttribute('aria-expanded', 'false')
+    await expect(triggers.nth(1)).toHaveAttribute('aria-expanded', 'true')
+    await expect(page.locator('#accordion-demo-2 .accordion__panel').nth(0)).toBeHidden()
+  })
+
+  test('Collapse every panel of an accordion forcing an expanded panel, expect the last expanded panel is kept.', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const accordion = document.getElementById('accordion-demo-3').beapi.Accordion
+
+      await accordion.expandAll()
+
+      const expanded = accordion.getExpanded().length
+      const collapsed = await accordion.collapseAll()
+
+      return { expanded, collapsed, remaining: accordion.getExpanded().length }
+    })
+
+    expect(result.expanded).toBeGreaterThan(1)
+    expect(result).toMatchObject({ collapsed: false, remaining: 1 })
+  })
+
+  test('Cancel the "be-a11y:beforeopen" event, expect toggle() resolves with false and the panel stays collapsed.', async ({
+    page,
+  }) => {
+    const toggled = await page.evaluate(() => {
+      const element = document.getElementById('accordion-demo-4')
+      const trigger = element.querySelectorAll('.accordion__trigger')[1]
+
+      element.addEventListener('be-a11y:beforeopen', (e) => e.preventDefault())
+
+      return element.beapi.Accordion.toggle(trigger)
+    })
+
+    expect(toggled).toBe(false)
+    await expect(page.locator('#accordion-demo-4 .accordion__trigger').nth(1)).toHaveAttribute('aria-expanded', 'false')
+  })
+
+  test('Load an accordion nested in a panel, expect each accordion only manages its own triggers.', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(() => {
+      const outer = document.getElementById('accordion-demo-8').beapi.Accordion
+      const inner = document.getElementById('accordion-demo-8-1').beapi.Accordion
+
+      return { outer: outer.getState().expanded, inner: inner.getState().expanded, count: outer.getExpanded().length }
+    })
+
+    expect(result).toEqual({ outer: [0], inner: [0], count: 1 })
+    await expect(page.locator('#accordion-demo-8-1 .accordion__trigger').first()).toHaveAttribute(
+      'aria-controls',
+      'accordion-accordion-demo-8-1-panel-1'
+    )
+  })
+
+  test('Click a trigger of a nested accordion, expect the panels of the outer accordion are unchanged.', async ({
+    page,
+  }) => {
+    const outerTriggers = page.locator('#accordion-demo-8 > h4 .accordion__trigger')
+    const innerTriggers = page.locator('#accordion-demo-8-1 .accordion__trigger')
+
+    await innerTriggers.nth(1).click()
+
+    await expect(innerTriggers.nth(1)).toHaveAttribute('aria-expanded', 'true')
+    await expect(innerTriggers.nth(0)).toHaveAttribute('aria-expanded', 'false')
+    await expect(outerTriggers.nth(0)).toHaveAttribute('aria-expanded', 'true')
+    await expect(outerTriggers.nth(1)).toHaveAttribute('aria-expanded', 'false')
+  })
+
+  test('Press ArrowDown on the last trigger of a nested accordion, expect its first trigger is focused.', async ({
+    page,
+  }) => {
+    await page.focus('#accordion-demo-8-1 h5:nth-of-type(2) .accordion__trigger')
+    await page.keyboard.press('ArrowDown')
+
+    await expect(page.locator('#accordion-demo-8-1 .accordion__trigger').first()).toBeFocused()
+  })
+
+  test('Dispatch "beforematch" on a panel hidden until found, expect the panel is expanded.', async ({ page }) => {
+    await addAccordion(page, 'accordion-until-found', SECTIONS, { hiddenUntilFound: true })
+
+    const result = await page.evaluate(() => {
+      const element = document.getElementById('accordion-until-found')
+      const panel = element.querySelectorAll('.accordion__panel')[1]
+      const hidden = panel.getAttribute('hidden')
+
+      panel.dispatchEvent(new Event('beforematch', { bubbles: true }))
+
+      return { hidden, expanded: element.querySelectorAll('.accordion__trigger')[1].getAttribute('aria-expanded') }
+    })
+
+    expect(result).toEqual({ hidden: 'until-found', expanded: 'true' })
+  })
+
+  test('Dispatch "beforematch" on a panel without trigger, expect no error.', async ({ page }) => {
+    const errors = []
+
+    page.on('pageerror', (error) => errors.push(error.message))
+    await addAccordion(
+      page,
+      'accordion-orphan-panel',
+      '<button class="accordion__trigger">One</button><div class="accordion__panel">One</div>' +
+        '<div class="accordion__panel">Two</div>',
+      { hiddenUntilFound: true }
+    )
+    await page.evaluate(async () => {
+      const element = document.getElementById('accordion-orphan-panel')
+
+      element.querySelectorAll('.accordion__panel')[1].dispatchEvent(new Event('beforematch', { bubbles: true }))
+      await new Promise((resolve) => window.setTimeout(resolve))
+    })
+
+    expect(errors).toEqual([])
+  })
+
+  test('Navigate to a fragment in a collapsed panel, expect the panel is expanded.', async ({ page }) => {
+    await addAccordion(
+      page,
+      'accordion-fragment',
+      '<button class="accordion__trigger">One</button><div class="accordion__panel">One</div>' +
+        '<button class="accordion__trigger">Two</button><div class="accordion__panel"><p id="answer">Two</p></div>',
+      { hiddenUntilFound: true }
+    )
+    await page.evaluate(() => {
+      window.location.hash = '#answer'
+    })
+
+    await expect(page.locator('#accordion-fragment .accordion__trigger').nth(1)).toHaveAttribute(
+      'aria-expanded',
+      'true'
+    )
+    await expect(page.locator('#answer')).toBeVisible()
+  })
+
+  test('Initialize an accordion with a heading level, expect the triggers are wrapped in headings and restored on destroy.', async ({
+    page,
+  }) => {
+    await addAccordion(
+      page,
+      'accordion-heading-level',
+      '<button class="accordion__trigger">One</button><div class="accordion__panel">One</div>' +
+        '<h3><button class="accordion__trigger">Two</button></h3><div class="accordion__panel">Two</div>',
+      { headingLevel: 3 }
+    )
+
+    const result = await page.evaluate(() => {
+      const element = document.getElementById('accordion-heading-level')
+      const headings = Array.prototype.map.call(
+        element.querySelectorAll('.accordion__trigger'),
+        (trigger) => `${trigger.parentElement.tagName} ${trigger.parentElement.getAttribute('aria-level')}`
+      )
+      const roles = Array.prototype.map.call(element.querySelectorAll('.accordion__panel'), (panel) =>
+        panel.getAttribute('role')
+      )
+
+      element.beapi.Accordion.destroy()
+
+      return { headings, roles, restored: element.querySelector('.accordion__trigger').parentElement === element }
+    })
+
+    expect(result).toEqual({ headings: ['DIV 3', 'H3 null'], roles: ['region', 'region'], restored: true })
+  })
+
+  test('Initialize an accordion with more panels than the region limit, expect the panels have no region role.', async ({
+    page,
+  }) => {
+    await addAccordion(
+      page,
+      'accordion-region-limit',
+      '<h3><button class="accordion__trigger">Q</button></h3><div class="accordion__panel">A</div>'.repeat(3),
+      { regionLimit: 2 }
+    )
+
+    const roles = await page.$$eval('#accordion-region-limit .accordion__panel', (panels) =>
+      panels.map((panel) => panel.getAttribute('role'))
+    )
+
+    expect(roles).toEqual([null, null, null])
+  })
+
+  test('Expand a panel of an accordion forcing an expanded panel, expect only the expanded trigger is disabled.', async ({
+    page,
+  }) => {
+    const triggers = page.locator('#accordion-demo-1 .accordion__trigger')
+
+    await expect(triggers.nth(0)).toHaveAttribute('aria-disabled', 'true')
+
+    await triggers.nth(1).click()
+
+    await expect(triggers.nth(0)).not.toHaveAttribute('aria-disabled')
+    await expect(triggers.nth(1)).toHaveAttribute('aria-disabled', 'true')
+
+    await triggers.nth(0).focus()
+    await page.keyboard.press('ArrowDown')
+
+    await expect(triggers.nth(1)).toBeFocused()
+  })
 })
@@ -0,0 +1,508 @@
+import AbstractDomElement from './AbstractDomElement.js'
+import DOMAnimations from '../utils/DOMAnimations.js'
+import { auditRequired } from '../utils/diagnostics.js'
+import KeyboardNavigation from '../utils/KeyboardNavigation.js'
+
+/**
+ * Enhance a group of native details elements: exclusive groups, animations, arrow keys between the summaries and
+ * callbacks. The details elements work without JavaScript and get their markup back on destroy.
+ */
+class Disclosure extends AbstractDomElement {
+  /**
+   * @param {HTMLElement} element element containing the details elements
+   * @param {Partial<DisclosureOptions>} [options]
+   */
+  constructor(element, options) {
+    const instance = super(element, options)
+
+    // avoid double init :
+    if (!instance.isNewInstance()) {
+      return instance
+    }
+
+    this._keyboardNavigation = null
+    // details considered open, the toggle events of the changes made by the instance are ignored
+    this._opened = []
+    // name attributes of the details, exclusive groups are handled by the instance
+    this._names = new Map()
+    this._contents = []
+    this._handleSummaryClick = handleSummaryClick.bind(this)
+    this._handleToggle = handleToggle.bind(this)
+
+    this.init()
+    this.initPlugins()
+  }
+
+  /**
+   * Initialization
+   *
+   * @returns {void}
+   */
+  init() {
+    const { hasAnimation, summarySelector } = this._settings
+    const details = getDetails.call(this)
+
+    // the open attribute of the details closed in exclusive groups is restored on destroy
+    this.saveAttributes(details, ['name', 'open'])
+
+    details.forEach((item) => {
+      // the browser would close the other details of a group without animation
+      if (item.hasAttribute('name')) {
+        this._names.set(item, item.getAttribute('name'))
+        item.removeAttribute('name')
+      }
+
+      if (hasAnimation) {
+        wrapContent.call(this, item)
+      }
+
+      this.addListener(item, 'toggle', this._handleToggle)
+    })
+
+    // a single details of each exclusive group stays open
+    details.forEach((item) => {
+      if (item.open && !getGroup.call(this, item).some((sibling) => this._opened.indexOf(sibling) !== -1)) {
+        this._opened.push(item)
+      } else {
+        item.open = false
+      }
+    })
+
+    this.delegate('click', summarySelector, this._handleSummaryClick)
+
+    this._keyboardNavigation = new KeyboardNavigation(this._element, {
+      items: () => getDetails.call(this).map(getSummary.bind(this)).filter(Boolean),
+    })
+  }
+
+  /**
+   * Destroy the component, the details elements get their name and open attributes back
+   *
+   * @returns {Disclosure}
+   */
+  destroy() {
+    this._opened.splice(0)
+    this._names.clear()
+
+    this._contents.splice(0).forEach((content) => {
+      DOMAnimations.cancel(content)
+      content.replaceWith.apply(content, content.childNodes)
+    })
+
+    if (this._keyboardNavigation) {
+      this._keyboardNavigation.destroy()
+    }
+
+    return super.destroy()
+  }
+
+  /**
+   * Open a details element, the other details of its group are closed
+   *
+   * @param {HTMLElement} details
+   *
+   * @returns {Promise<boolean>} resolved once the details are animated, false if the change is cancelled
+   */
+  open(details) {
+    const { onOpen } = this._settings
+
+    if (getDetails.call(this).indexOf(details) === -1 || this._opened.indexOf(details) !== -1) {
+      return Promise.resolve(false)
+    }
+
+    const closing = getGroup.call(this, details).filter((sibling) => this._opened.indexOf(sibling) !== -1)
+
+    if (
+      !this.dispatch('beforeopen', { details }) ||
+      closing.some((sibling) => !this.dispatch('beforeclose', { details: sibling }))
+    ) {
+      return Promise.resolve(false)
+    }
+
+    const animations = closing.map(closeDetails.bind(this))
+
+    animations.push(show.call(this, details))
+
+    if (onOpen) {
+      onOpen.bind(this)(details)
+    }
+
+    this.dispatch('open', { details })
+
+    return Promise.all(animations).then((results) => results.every(Boolean))
+  }
+
+  /**
+   * Close a details element
+   *
+   * @param {HTMLElement} details
+   *
+   * @returns {Promise<boolean>} resolved once the details are animated, false if the change is cancelled
+   */
+  close(details) {
+    if (this._opened.indexOf(details) === -1 || !this.dispatch('beforeclose', { details })) {
+      return Promise.resolve(false)
+    }
+
+    return closeDetails.call(this, details)
+  }
+
+  /**
+   * Open a closed details element or close an open one
+   *
+   * @param {HTMLElement} details
+   *
+   * @returns {Promise<boolean>}
+   */
+  toggle(details) {
+    return this._opened.indexOf(details) !== -1 ? this.close(details) : this.open(details)
+  }
+
+  /**
+   * Get the state of the details elements
+   *
+   * @returns {{expanded: number[]}} indexes of the open details
+   */
+  getState() {
+    return {
+      expanded: getDetails
+        .call(this)
+        .reduce(
+          (expanded, details, index) => (this._opened.indexOf(details) !== -1 ? expanded.concat(index) : expanded),
+          []
+        ),
+    }
+  }
+
+  /**
+   * Open and close details elements without animation
+   *
+   * @param {Object} state
+   * @param {number[]} state.expanded indexes of the open details
+   *
+   * @returns {void}
+   */
+  applyState({ expanded }) {
+    if (!Array.isArray(expanded)) {
+      return
+    }
+
+    const details = getDetails.call(this)
+    // the first details of each exclusive group in the state is opened
+    const opened = details.reduce((items, item, index) => {
+      const isConflicting = getGroup.call(this, item).some((sibling) => items.indexOf(sibling) !== -1)
+
+      return expanded.indexOf(index) !== -1 && !isConflicting ? items.concat(item) : items
+    }, [])
+
+    details.forEach((item) => {
+      const isOpened = opened.indexOf(item) !== -1
+
+      if (isOpened === (this._opened.indexOf(item) !== -1)) {
+        return
+      }
+
+      isOpened ? this._opened.push(item) : this._opened.splice(this._opened.indexOf(item), 1)
+      item.open = isOpened
+
+      const content = getContent.call(this, item)
+
+      if (content) {
+        DOMAnimations.cancel(content)
+        content.style.removeProperty('display')
+      }
+
+      this.dispatch(isOpened ? 'open' : 'close', { details: item })
+    })
+  }
+
+  /**
+   * Check the details elements and their summaries
+   *
+   * @returns {import('./AbstractDomElement.js').AuditIssue[]}
+   */
+  audit() {
+    const { detailsSelector } = this._settings
+    const details = getDetails.call(this)
+    let issues = super
+      .audit()
+      .concat(
+        auditRequired(details[0], `no details element matches detailsSelector "${detailsSelector}"`, this._element)
+      )
+
+    details.forEach((item) => {
+      if (item.tagName !== 'DETAILS') {
+        issues.push({ message: 'the element is not a <details> element', element: item })
+      }
+
+      issues = issues.concat(auditRequired(getSummary.call(this, item), 'the details element has no summary', item))
+    })
+
+    return issues
+  }
+}
+
+// ----
+// private
+// ----
+
+/**
+ * Get the details elements of the component, without the details nested in another one
+ *
+ * @returns {HTMLElement[]}
+ */
+function getDetails() {
+  const el = this._element
+  const { detailsSelector } = this._settings
+
+  return Array.prototype.filter.call(el.querySelectorAll(detailsSelector), (details) => {
+    const parent = details.parentElement.closest(detailsSelector)
+
+    return !parent || parent === el || !el.contains(parent)
+  })
+}
+
+/**
+ * Get the summary of a details element
+ *
+ * @param {HTMLElement} details
+ *
+ * @returns {HTMLElement|null}
+ */
+function getSummary(details) {
+  return Array.prototype.find.call(details.children, (child) => child.matches(this._settings.summarySelector)) || null
+}
+
+/**
+ * Get the details closed when a details element is opened: every other details if allowMultiple is false, the details
+ * sharing its name attribute otherwise
+ *
+ * @param {HTMLElement} details
+ *
+ * @returns {HTMLElement[]}
+ */
+function getGroup(details) {
+  const name = this._names.get(details)
+
+  return getDetails
+    .call(this)
+    .filter((item) => item !== details && (!this._settings.allowMultiple || (!!name && this._names.get(item) === name)))
+}
+
+/**
+ * Get the element wrapping the content of a details element, animated when the details are opened and closed
+ *
+ * @param {HTMLElement} details
+ *
+ * @returns {HTMLElement|null}
+ */
+function getContent(details) {
+  return this._contents.filter((content) => content.parentElement === details)[0] || null
+}
+
+/**
+ * Wrap the content of a details element but its summary, so the content can be animated
+ *
+ * @param {HTMLElement} details
+ *
+ * @returns {void}
+ */
+function wrapContent(details) {
+  const summary = getSummary.call(this, details)
+  const content = document.createElement('div')
+
+  Array.prototype.slice.call(details.childNodes).forEach((node) => node !== summary && content.appendChild(node))
+  details.appendChild(content)
+  this._contents.push(content)
+}
+
+/**
+ * Open a details element and animate its content
+ *
+ * @param {HTMLElement} details
+ *
+ * @returns {Promise<boolean>}
+ */
+function show(details) {
+  const content = getContent.call(this, details)
+
+  this._opened.push(details)
+
+  // the content is hidden by the browser while the details are closed
+  if (content && !details.open) {
+    content.style.display = 'none'
+  }
+
+  details.open = true
+
+  return content ? DOMAnimations.show(content, getAnimationOptions.call(this)) : Promise.resolve(true)
+}
+
+/**
+ * Animate the content of a details element, then close it
+ *
+ * @param {HTMLElement} details
+ *
+ * @returns {Promise<boolean>}
+ */
+function hide(details) {
+  const content = getContent.call(this, details)
+
+  this._opened.splice(this._opened.indexOf(details), 1)
+
+  if (!content) {
+    details.open = false
+
+    return Promise.resolve(true)
+  }
+
+  return DOMAnimations.hide(content, getAnimationOptions.call(this)).then((hidden) => {
+    // the details opened again during the animation stay open
+    if (hidden) {
+      details.open = false
+      content.style.removeProperty('display')
+    }
+
+    return hidden
+  })
+}
+
+/**
+ * Close a details element without beforeclose event, then call onClose and dispatch the close event
+ *
+ * @param {HTMLElement} details
+ *
+ * @returns {Promise<boolean>}
+ */
+function closeDetails(details) {
+  const { onClose } = this._settings
+  const animation = hide.call(this, details)
+
+  if (onClose) {
+    onClose.bind(this)(details)
+  }
+
+  this.dispatch('close', { details })
+
+  return animation
+}
+
+/**
+ * Get the options of the content animations
+ *
+ * @returns {import('../utils/DOMAnimations.js').AnimationOptions}
+ */
+function getAnimationOptions() {
+  const { animationDuration, animationEasing, animationPreset } = this._settings
+
+  return { duration: animationDuration, easing: animationEasing, preset: animationPreset }
+}
+
+/**
+ * Open or close the details of a clicked summary instead of the browser
+ *
+ * @param {MouseEvent} e
+ * @param {HTMLElement} summary
+ *
+ * @returns {void}
+ */
+function handleSummaryClick(e, summary) {
+  const details = summary.parentElement
+
+  if (getDetails.call(this).indexOf(details) === -1 || getSummary.call(this, details) !== summary) {
+    return
+  }
+
+  e.preventDefault()
+  this.toggle(details)
+}
+
+/**
+ * Follow the changes made outside of the component, by find-in-page or a script setting the open property
+ *
+ * @param {Event} e toggle event
+ *
+ * @returns {void}
+ */
+function handleToggle(e) {
+  const details = e.currentTarget
+  const isOpened = this._opened.indexOf(details) !== -1
+  const { onClose, onOpen } = this._settings
+
+  if (details.open && !isOpened) {
+    // the details are already open, the siblings are closed without beforeclose event to keep the group exclusive
+    getGroup
+      .call(this, details)
+      .filter((sibling) => this._opened.indexOf(sibling) !== -1)
+      .forEach(closeDetails.bind(this))
+
+    this._opened.push(details)
+
+    if (onOpen) {
+      onOpen.bind(this)(details)
+    }
+
+    this.dispatch('open', { details })
+  } else if (!details.open && isOpened) {
+    this._opened.splice(this._opened.indexOf(details), 1)
+
+    if (onClose) {
+      onClose.bind(this)(details)
+    }
+
+    this.dispatch('close', { details })
+  }
+}
+
+Disclosure.nameSpace = 'Disclosure'
+
+/**
+ * @typedef {Object} DisclosureOptions
+ * @property {boolean} allowMultiple allow several details to be open at the same time, details sharing a name
+ * attribute are closed when one of them is opened
+ * @property {number} animationDuration duration of the content animations in milliseconds
+ * @property {string} animationEasing CSS easing function of the content animations
+ * @property {string} animationPreset animation preset: slide, fade or slide-fade
+ * @property {boolean} debug validate the options and audit the markup
+ * @property {string} detailsSelector
+ * @property {boolean} hasAnimation animate the content of the details, wrapped in a div element
+ * @property {((this: Disclosure, details: HTMLElement) => void)|null} onOpen
+ * @property {((this: Disclosure, details: HTMLElement) => void)|null} onClose
+ * @property {import('./AbstractDomElement.js').Plugin[]} plugins plugins of the instance, added to the registered plugins
+ * @property {string|null} preset name of a preset defined with definePreset()
+ * @property {string} summarySelector
+ */
+
+/** @type {DisclosureOptions} */
+Disclosure.defaults = {
+  allowMultiple: true,
+  animationDuration: 500,
+  animationEasing: 'ease',
+  animationPreset: 'slide',
+  debug: false,
+  detailsSelector: 'details',
+  hasAnimation: false,
+  onOpen: null,
+  onClose: null,
+  plugins: [],
+  preset: null,
+  summarySelector: 'summary',
+}
+
+/** @type {Object<string, string>} */
+Disclosure.schema = {
+  allowMultiple: 'boolean',
+  animationDuration: 'number',
+  animationEasing: 'string',
+  animationPreset: 'string',
+  debug: 'boolean',
+  detailsSelector: 'selector',
+  hasAnimation: 'boolean',
+  onOpen: 'function|null',
+  onClose: 'function|null',
+  plugins: 'object',
+  preset: 'string|null',
+  summarySelector: 'selector',
+}
+
+export default Disclosure
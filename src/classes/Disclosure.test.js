@@ -0,0 +1,124 @@
+import { expect, test } from '@playwright/test'
+
+test.describe('Disclosure', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173/examples/accessible-disclosure/index.html')
+  })
+
+  test('Click on a summary of an exclusive group, expect its details are open and the other details are closed.', async ({
+    page,
+  }) => {
+    await page.click('#demo-2 details:nth-child(2) summary')
+
+    await expect(page.locator('#demo-2 details').nth(0)).toHaveJSProperty('open', false)
+    await expect(page.locator('#demo-2 details').nth(1)).toHaveJSProperty('open', true)
+    await expect(page.locator('#demo-2 details').nth(2)).toHaveJSProperty('open', false)
+  })
+
+  test('Click on a summary of a details with a name attribute, expect only the details of the same name are closed.', async ({
+    page,
+  }) => {
+    await page.click('#demo-3 details:nth-child(1) summary')
+    await page.click('#demo-3 details:nth-child(3) summary')
+    await page.click('#demo-3 details:nth-child(2) summary')
+
+    await expect(page.locator('#demo-3 details').nth(0)).toHaveJSProperty('open', false)
+    await expect(page.locator('#demo-3 details').nth(1)).toHaveJSProperty('open', true)
+    await expect(page.locator('#demo-3 details').nth(2)).toHaveJSProperty('open', true)
+    await expect(page.locator('#demo-3 details').nth(3)).toHaveJSProperty('open', false)
+    await expect(page.locator('#demo-3 details[name]')).toHaveCount(0)
+  })
+
+  test('Open a details of an exclusive group from a script while beforeclose is cancelled, expect the other details are closed.', async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      const element = document.querySelector('#demo-2')
+
+      element.addEventListener('be-a11y:beforeclose', (e) => e.preventDefault())
+      element.querySelectorAll('details')[2].open = true
+    })
+
+    await expect(page.locator('#demo-2 details').nth(0)).toHaveJSProperty('open', false)
+    await expect(page.locator('#demo-2 details').nth(2)).toHaveJSProperty('open', true)
+  })
+
+  test('Destroy an exclusive group initialized with several open details, expect the details are open again.', async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const { Disclosure } = await import('/be-a11y.js')
+      const element = document.createElement('div')
+
+      element.id = 'disclosure-open'
+      element.innerHTML =
+        '<details open><summary>One</summary><p>One</p></details>' +
+        '<details open><summary>Two</summary><p>Two</p></details>'
+      document.body.append(element)
+      new Disclosure(element, { allowMultiple: false })
+    })
+
+    await expect(page.locator('#disclosure-open details').nth(1)).toHaveJSProperty('open', false)
+
+    await page.evaluate(() => document.querySelector('#disclosure-open').beapi.Disclosure.destroy())
+
+    await expect(page.locator('#disclosure-open details').nth(1)).toHaveJSProperty('open', true)
+  })
+
+  test('Open a details of a named group, expect onOpen and onClose are called with the details elements.', async ({
+    page,
+  }) => {
+    const messages = []
+
+    page.on('console', (message) => messages.push(message.text()))
+    await page.click('#demo-3 details:nth-child(1) summary')
+    await page.click('#demo-3 details:nth-child(2) summary')
+
+    await expect
+      .poll(() => messages)
+      .toEqual(
+        expect.arrayContaining([
+          'Opened: First section of group A',
+          'Opened: Second section of group A',
+          'Closed: First section of group A',
+        ])
+      )
+  })
+
+  test('Initialize a group with animation, expect the content is wrapped in a div removed on destroy.', async ({
+    page,
+  }) => {
+    await expect(page.locator('#demo-2 details > div > p')).toHaveCount(3)
+
+    await page.evaluate(() => document.querySelector('#demo-2').beapi.Disclosure.destroy())
+
+    await expect(page.locator('#demo-2 details > div')).toHaveCount(0)
+    await expect(page.locator('#demo-2 details > p')).toHaveCount(3)
+  })
+
+  test('Press the ArrowDown key on a summary, expect the focus is on the next summary.', async ({ page }) => {
+    await page.focus('#demo-1 details:nth-child(1) summary')
+    await page.keyboard.press('ArrowDown')
+
+    const focused = await page.evaluate(() => document.activeElement.textContent)
+
+    expect(focused).toBe('Second section')
+  })
+
+  test('Destroy the component, expect the details elements get their name attribute back and keep working natively.', async ({
+    page,
+  }) => {
+    const names = await page.evaluate(() => {
+      const element = document.querySelector('#demo-3')
+
+      element.beapi.Disclosure.destroy()
+
+      return Array.prototype.map.call(element.querySelectorAll('details'), (details) => details.getAttribute('name'))
+    })
+
+    await page.click('#demo-3 details:nth-child(1) summary')
+
+    expect(names).toEqual(['demo-3-a', 'demo-3-a', 'demo-3-b', 'demo-3-b'])
+    expect(await page.$eval('#demo-3 details:nth-child(1)', (details) => details.open)).toBe(true)
+  })
+})
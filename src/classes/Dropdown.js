@@ -1,12 +1,18 @@
-import { randomId } from '../utils/helpers.js'
+import { auditButton, auditLabel, auditRequired } from '../utils/diagnostics.js'
+import { claimId } from '../utils/helpers.js'
 import AbstractDomElement from './AbstractDomElement.js'
-import { ThrottledEvent } from 'oneloop.js'
+import Breakpoints from '../utils/Breakpoints.js'
+import KeyboardNavigation from '../utils/KeyboardNavigation.js'
 
 /**
  * Dropdown Class
  * @author Milan Ricoul
  */
 class Dropdown extends AbstractDomElement {
+  /**
+   * @param {HTMLElement} element
+   * @param {Partial<DropdownOptions>} [options]
+   */
   constructor(element, options) {
     const instance = super(element, options)
 
@@ -15,30 +21,38 @@ class Dropdown extends AbstractDomElement {
       return instance
     }
 
+    // mediaQuery option accepts a MediaQueryList, a media query string or a breakpoint name
+    this._settings.mediaQuery = Breakpoints.get(this._settings.mediaQuery)
+
     const { mediaQuery } = this._settings
 
-    this.id = randomId('dropdown')
+    this.id = claimId(element, this._settings.prefixId)
     this.opened = false
     this.active = false
+    /** @type {HTMLElement|null} */
     this.focusedElement = null
-    this._onResize = onResize.bind(this)
+    this._createdElements = []
+    this._buttonContent = null
+    this._keyboardNavigation = null
+    this._onBreakpointChange = onBreakpointChange.bind(this)
     this._handleKeydown = handleKeydown.bind(this)
     this._handleButtonClick = handleButtonClick.bind(this)
     this._handleListItemClick = handleListItemClick.bind(this)
     this._handleOutsideElementClick = handleOutsideElementClick.bind(this)
-    this._focusPreviousElement = focusPreviousElement.bind(this)
-    this._focusNextElement = focusNextElement.bind(this)
-    this._focusFirstElement = focusFirstElement.bind(this)
-    this._focusLastElement = focusLastElement.bind(this)
-    this._resize = new ThrottledEvent(window, 'resize')
-    this._resize.add('resize', this._onResize)
+    this._handleMove = handleMove.bind(this)
+
+    if (mediaQuery) {
+      Breakpoints.subscribe(mediaQuery, this._onBreakpointChange)
+      this.addTeardown(() => Breakpoints.unsubscribe(mediaQuery, this._onBreakpointChange))
+    }
 
     if (Boolean(mediaQuery && mediaQuery.matches) || !mediaQuery) {
       this.init()
-      return
+    } else {
+      deactivate.call(this)
     }
 
-    this.destroy()
+    this.initPlugins()
   }
 
   /**
@@ -46,7 +60,7 @@ class Dropdown extends AbstractDomElement {
    *
    * @author Milan Ricoul
    *
-   * @returns {Object}
+   * @returns {Dropdown}
    */
   init() {
     this.active = true
@@ -59,11 +73,20 @@ class Dropdown extends AbstractDomElement {
     // Button selector
     if (el.querySelector(buttonSelector)) {
       this.button = el.querySelector(buttonSelector)
+      this.saveAttributes(this.button, ['id', 'aria-labelledby', 'aria-expanded', 'hidden'])
+
+      if (this._buttonContent === null) {
+        this._buttonContent = this.button.innerHTML
+      }
     } else {
       this.button = document.createElement('button')
       this.button.type = 'button'
       this.button.setAttribute('aria-haspopup', 'listbox')
-      this.button.innerHTML = this.focusedElement.innerHTML
+      // no item is selected yet when the button is created
+      this.button.innerHTML = this.focusedElement
+        ? this.focusedElement.innerHTML
+        : this._settings.nonSelectedItemLabel || this.t('nonSelectedItem')
+      this._createdElements.push(this.button)
 
       el.prepend(this.button)
     }
@@ -71,10 +94,14 @@ class Dropdown extends AbstractDomElement {
     // Label selector
     if (el.querySelector(labelSelector)) {
       this.label = el.querySelector(labelSelector)
+      this.saveAttributes(this.label, ['id'])
     } else {
       this.label = document.createElement('span')
       this.label.classList.add(labelSelector.replace('.', ''))
-      this.label.innerHTML = this.focusedElement.innerHTML
+      this.label.innerHTML = this.focusedElement
+        ? this.focusedElement.innerHTML
+        : this._settings.nonSelectedItemLabel || this.t('nonSelectedItem')
+      this._createdElements.push(this.label)
 
       el.prepend(this.label)
     }
@@ -82,10 +109,14 @@ class Dropdown extends AbstractDomElement {
     this.list = el.querySelector(listSelector)
     this.listItems = el.querySelectorAll('li')
 
-    this.button.id = buttonId
-    this.label.id = labelId
-    this.button.setAttribute('aria-labelledby', `${labelId} ${buttonId}`)
-    this.list.setAttribute('aria-labelledby', `${labelId}`)
+    this.saveAttributes(this.list, ['aria-labelledby', 'tabindex', 'role', 'aria-activedescendant', 'class'])
+    this.saveAttributes(this.listItems, ['role', 'id', 'aria-selected'])
+
+    // existing ids are kept to match server-rendered markup
+    this.button.id = this.button.id || buttonId
+    this.label.id = this.label.id || labelId
+    this.button.setAttribute('aria-labelledby', `${this.label.id} ${this.button.id}`)
+    this.list.setAttribute('aria-labelledby', `${this.label.id}`)
     this.list.setAttribute('tabindex', '-1')
     this.list.setAttribute('role', 'listbox')
 
@@ -95,8 +126,7 @@ class Dropdown extends AbstractDomElement {
 
     this.listItems.forEach((listItem, index) => {
       listItem.setAttribute('role', 'option')
-      listItem.id = `${this.id}-item-${index + 1}`
-      listItem.addEventListener('click', this._handleListItemClick)
+      listItem.id = listItem.id || `${this.id}-item-${index + 1}`
     })
 
     if (automaticSelection) {
@@ -111,59 +141,50 @@ class Dropdown extends AbstractDomElement {
       }
     }
 
-    this.button.addEventListener('click', this._handleButtonClick)
-    document.addEventListener('click', this._handleOutsideElementClick)
-    document.addEventListener('keydown', this._handleKeydown)
+    this.addListener(this.button, 'click', this._handleButtonClick)
+    // the items added later are clickable without their own listener
+    this.delegate('click', 'li', this._handleListItemClick)
+    this.delegate('click', null, this._handleOutsideElementClick)
+
+    // the focus stays on the button, the selected item is updated by the keyboard navigation
+    this._keyboardNavigation = new KeyboardNavigation(el, {
+      items: () => this.listItems,
+      mode: 'custom',
+      owner: this.button,
+      // the keys pressed in the open list are handled too
+      isKeyTarget: (element) => element === this.button || (this.opened && el.contains(element)),
+      current: () => this.focusedElement,
+      wrap: false,
+      typeahead: true,
+      onKeydown: this._handleKeydown,
+      onMove: this._handleMove,
+    })
 
     return this
   }
 
   /**
-   * Destroy
+   * Destroy, remove created elements, restore the markup and remove every event
    *
    * @author Milan Ricoul
    *
-   * @returns {Object}
+   * @returns {Dropdown}
    */
   destroy() {
-    const { buttonSelector, labelSelector, listClassName, listSelector } = this._settings
-
-    if (!this.active) {
-      const el = this._element
+    this.active = false
+    this.opened = false
 
-      this.button = el.querySelector(buttonSelector)
-      this.label = el.querySelector(labelSelector)
-      this.list = el.querySelector(listSelector)
-      this.listItems = el.querySelectorAll('li')
-
-      this.updateFocusedListItem(this.listItems[0])
-
-      this.button.remove()
-      this.label.remove()
-      this.list.classList.remove(listClassName)
-      this.list.removeAttribute('tabindex')
-      this.list.removeAttribute('role')
-      this.list.removeAttribute('aria-activedescendant')
-      this.listItems.forEach((listItem) => {
-        listItem.removeAttribute('role')
-        listItem.removeAttribute('aria-selected')
-      })
-
-      return this
+    if (this._keyboardNavigation) {
+      this._keyboardNavigation.destroy()
     }
 
-    this.active = false
+    this._createdElements.splice(0).forEach((element) => element.remove())
 
-    this.button.remove()
-    this.label.remove()
-    this.list.classList.remove(this._settings.listClassName)
-    this.list.removeAttribute('tabindex')
-    this.list.removeAttribute('role')
-    this.listItems.forEach((listItem) => {
-      listItem.removeAttribute('role')
-    })
+    if (this.button && this._buttonContent !== null) {
+      this.button.innerHTML = this._buttonContent
+    }
 
-    return this
+    return super.destroy()
   }
 
   /**
@@ -175,8 +196,7 @@ class Dropdown extends AbstractDomElement {
   addItem(listItem) {
     const el = this._element
     listItem.role = 'option'
-    listItem.id = `${this.id}-item-${this.listItems.length + 1}`
-    listItem.addEventListener('click', this._handleListItemClick)
+    listItem.id = listItem.id || `${this.id}-item-${this.listItems.length + 1}`
 
     this.list.appendChild(listItem)
     this.listItems = el.querySelectorAll('li')
@@ -196,7 +216,7 @@ class Dropdown extends AbstractDomElement {
     const el = this._element
 
     if (listItem === this.focusedElement) {
-      this.button.innerText = this._settings.nonSelectedItemLabel
+      this.button.innerText = this._settings.nonSelectedItemLabel || this.t('nonSelectedItem')
       this.focusedElement = null
     }
 
@@ -210,9 +230,7 @@ class Dropdown extends AbstractDomElement {
    * @returns {void}
    */
   removeAllItems() {
-    this.listItems.forEach((listItem) => {
-      listItem.remove()
-    })
+    this.listItems.forEach((listItem) => listItem.remove())
     this.listItems = this._element.querySelectorAll('li')
     this.button.setAttribute('hidden', 'hidden')
   }
@@ -228,7 +246,7 @@ class Dropdown extends AbstractDomElement {
     if (!this.active && ((mediaQuery && mediaQuery.matches) || !mediaQuery)) {
       this.init()
     } else if (this.active && mediaQuery && !mediaQuery.matches) {
-      this.destroy()
+      deactivate.call(this)
     }
   }
 
@@ -240,6 +258,10 @@ class Dropdown extends AbstractDomElement {
    * @returns {void}
    */
   open() {
+    if (!this.dispatch('beforeopen')) {
+      return
+    }
+
     this.opened = true
 
     const el = this._element
@@ -256,6 +278,8 @@ class Dropdown extends AbstractDomElement {
     if (onOpen) {
       onOpen.bind(this)()
     }
+
+    this.dispatch('open')
   }
 
   /**
@@ -266,6 +290,10 @@ class Dropdown extends AbstractDomElement {
    * @returns {void}
    */
   close() {
+    if (!this.dispatch('beforeclose')) {
+      return
+    }
+
     this.opened = false
 
     const { onClose } = this._settings
@@ -275,6 +303,74 @@ class Dropdown extends AbstractDomElement {
     if (onClose) {
       onClose.bind(this)()
     }
+
+    this.dispatch('close')
+  }
+
+  /**
+   * Get the state of the dropdown
+   *
+   * @returns {{open: boolean, selected: number}} selected is the index of the selected item, -1 if none
+   */
+  getState() {
+    return {
+      open: this.opened,
+      selected: this.listItems ? Array.prototype.indexOf.call(this.listItems, this.focusedElement) : -1,
+    }
+  }
+
+  /**
+   * Select an item, then open or close the dropdown
+   *
+   * @param {Object} state
+   * @param {boolean} state.open
+   * @param {number} state.selected index of the selected item
+   *
+   * @returns {void}
+   */
+  applyState({ open, selected }) {
+    if (!this.active) {
+      return
+    }
+
+    const listItem = this.listItems[selected]
+
+    if (listItem && listItem !== this.focusedElement) {
+      this.updateFocusedListItem(listItem)
+    }
+
+    if (typeof open === 'boolean' && open !== this.opened) {
+      open ? this.open() : this.close()
+    }
+  }
+
+  /**
+   * Check the button, the label and the list
+   *
+   * @returns {import('./AbstractDomElement.js').AuditIssue[]}
+   */
+  audit() {
+    const el = this._element
+    const { buttonSelector, labelSelector, listSelector } = this._settings
+    const button = el.querySelector(buttonSelector)
+    const label = el.querySelector(labelSelector)
+    const list = el.querySelector(listSelector)
+    let issues = super
+      .audit()
+      .concat(auditRequired(list, `no list matches listSelector "${listSelector}"`, el))
+      .concat(button ? auditButton(button, 'button') : [])
+
+    if (label && !label.textContent.trim()) {
+      issues.push({ message: 'the label is empty', element: label })
+    }
+
+    if (list && !list.querySelector('li')) {
+      issues.push({ message: 'the list has no item', element: list })
+    } else if (list) {
+      issues = issues.concat(auditLabel(list, 'list'))
+    }
+
+    return issues
   }
 
   /**
@@ -286,6 +382,11 @@ class Dropdown extends AbstractDomElement {
    */
   updateFocusedListItem(listItem) {
     const { onChange } = this._settings
+    const previousItem = this.focusedElement
+
+    if (listItem !== previousItem && !this.dispatch('beforechange', { item: listItem, previousItem })) {
+      return
+    }
 
     if (this.focusedElement) {
       this.focusedElement.removeAttribute('aria-selected')
@@ -310,7 +411,64 @@ class Dropdown extends AbstractDomElement {
     if (onChange) {
       onChange.bind(this)()
     }
+
+    if (listItem !== previousItem) {
+      this.dispatch('change', { item: listItem, previousItem })
+    }
+  }
+}
+
+/**
+ * Remove the button, the label, ARIA attributes and events when the media query does not match
+ *
+ * @author Milan Ricoul
+ *
+ * @returns {Object}
+ */
+function deactivate() {
+  const { buttonSelector, labelSelector, listClassName, listSelector } = this._settings
+
+  if (!this.active) {
+    const el = this._element
+
+    this.button = el.querySelector(buttonSelector)
+    this.label = el.querySelector(labelSelector)
+    this.list = el.querySelector(listSelector)
+    this.listItems = el.querySelectorAll('li')
+
+    this.updateFocusedListItem(this.listItems[0])
+
+    this.button.remove()
+    this.label.remove()
+    this.list.classList.remove(listClassName)
+    this.list.removeAttribute('tabindex')
+    this.list.removeAttribute('role')
+    this.list.removeAttribute('aria-activedescendant')
+    this.listItems.forEach((listItem) => {
+      listItem.removeAttribute('role')
+      listItem.removeAttribute('aria-selected')
+    })
+
+    return this
   }
+
+  this.active = false
+  this.opened = false
+  this._createdElements = []
+  this._keyboardNavigation.destroy()
+
+  this.button.remove()
+  this.label.remove()
+  this.list.classList.remove(this._settings.listClassName)
+  this.list.removeAttribute('tabindex')
+  this.list.removeAttribute('role')
+  this.listItems.forEach((listItem) => {
+    listItem.removeAttribute('role')
+  })
+
+  this.removeListeners()
+
+  return this
 }
 
 /**
@@ -328,20 +486,22 @@ function handleButtonClick() {
  * @author Milan Ricoul
  *
  * @param {MouseEvent} e mouse event handler
+ * @param {HTMLElement} listItem clicked list item
  */
-function handleListItemClick(e) {
+function handleListItemClick(e, listItem) {
   const { onListItemClick } = this._settings
 
   if (onListItemClick) {
     onListItemClick.bind(this)()
   }
 
-  this.updateFocusedListItem(e.currentTarget)
+  selectListItem.call(this, listItem)
   this.close()
 }
 
 /**
- * Handle keyboard keydown
+ * Handle the keys opening and closing the list, arrow keys, Home, End and typed characters are handled by the keyboard
+ * navigation
  *
  * @author Milan Ricoul
  *
@@ -350,15 +510,9 @@ function handleListItemClick(e) {
  * @returns {void}
  */
 function handleKeydown(e) {
-  const activeElement = document.activeElement
-
-  if (activeElement !== this.button && !this.opened) {
-    return
-  }
-
-  switch (e.code) {
+  switch (e.key) {
     case 'Enter':
-      if (activeElement === this.button && !this.opened) {
+      if (!this.opened) {
         e.preventDefault()
         this.open()
       }
@@ -366,105 +520,48 @@ function handleKeydown(e) {
     case 'Escape':
       if (this.opened) {
         e.preventDefault()
-        this.close(this.id)
+        this.close()
       }
       break
     case 'ArrowDown':
-      e.preventDefault()
-
-      if (activeElement === this.button && !this.opened) {
-        this.open()
-      } else {
-        this._focusNextElement()
-      }
-
-      break
     case 'ArrowUp':
-      e.preventDefault()
-
-      if (activeElement === this.button && !this.opened) {
+      // the first key press opens the list without changing the selected item
+      if (!this.opened) {
+        e.preventDefault()
         this.open()
-      } else {
-        this._focusPreviousElement()
       }
-
-      break
-    case 'Home':
-      e.preventDefault()
-      this._focusFirstElement()
-      break
-    case 'End':
-      e.preventDefault()
-      this._focusLastElement()
       break
   }
 }
 
 /**
- * Focus previous list item
+ * Select the item reached with the keyboard
  *
- * @author Milan Ricoul
+ * @param {HTMLElement} listItem
+ *
+ * @returns {void}
  */
-function focusPreviousElement() {
-  if (this.focusedElement && this.focusedElement.previousElementSibling) {
-    this.updateFocusedListItem(this.focusedElement.previousElementSibling)
-
-    return
-  }
-
-  if (this.focusedElement) {
-    this.updateFocusedListItem(this.focusedElement)
-  }
+function handleMove(listItem) {
+  selectListItem.call(this, listItem)
 }
 
 /**
- * Focus next list item
+ * Select an item and announce it, the button keeping the focus is not announced again when its content changes
  *
- * @author Milan Ricoul
+ * @param {HTMLElement} listItem
+ *
+ * @returns {void}
  */
-function focusNextElement() {
-  const el = this._element
-
-  if (!this.focusedElement) {
-    const nodeListItems = el.querySelectorAll('li')
-    const nodeListSelectedItems = el.querySelectorAll('li[aria-selected="true"]')
-
-    if (nodeListSelectedItems.length === 0 && nodeListItems.length >= 1) {
-      this.updateFocusedListItem(el.querySelector('li:first-child'))
-    }
+function selectListItem(listItem) {
+  const previousItem = this.focusedElement
 
-    return
-  }
-
-  if (this.focusedElement && this.focusedElement.nextElementSibling) {
-    this.updateFocusedListItem(this.focusedElement.nextElementSibling)
-
-    return
-  }
+  this.updateFocusedListItem(listItem)
 
-  if (this.focusedElement) {
-    this.updateFocusedListItem(this.focusedElement)
+  if (this.focusedElement === listItem && listItem !== previousItem) {
+    this.announce(this.t('itemSelected', { item: listItem.textContent.trim() }))
   }
 }
 
-/**
- * Focus first list item
- *
- * @author Milan Ricoul
- */
-function focusFirstElement() {
-  this.updateFocusedListItem(this.listItems[0])
-}
-
-/**
- * Focus last list item
- *
- * @author Milan Ricoul
- */
-function focusLastElement() {
-  this.updateFocusedListItem(this.listItems[this.listItems.length - 1])
-}
-
 /**
  * Close dropdown if click outside the dropdown
  *
@@ -481,27 +578,80 @@ function handleOutsideElementClick(e) {
 }
 
 /**
- * On screen resize
+ * On media query change
  *
  * @author Milan Ricoul
  */
-function onResize() {
+function onBreakpointChange() {
   this.refresh()
 }
 
+Dropdown.nameSpace = 'Dropdown'
+
+/**
+ * @typedef {Object} DropdownOptions
+ * @property {boolean} announce announce the items selected with the keyboard or the mouse to screen readers
+ * @property {boolean|string} automaticSelection select the first item if true, or the item matching the selector
+ * @property {string} buttonSelector
+ * @property {boolean} debug validate the options and audit the markup
+ * @property {string} labelSelector
+ * @property {string|null} listClassName class added to the list
+ * @property {string} listSelector
+ * @property {string|null} locale locale of the messages
+ * @property {MediaQueryList|string|null} mediaQuery media query, breakpoint name or MediaQueryList
+ * @property {Object<string, string>} messages messages overriding the catalog
+ * @property {((this: Dropdown) => void)|null} onChange
+ * @property {((this: Dropdown) => void)|null} onClose
+ * @property {((this: Dropdown) => void)|null} onListItemClick
+ * @property {((this: Dropdown) => void)|null} onOpen
+ * @property {string|null} nonSelectedItemLabel button text when no item is selected
+ * @property {import('./AbstractDomElement.js').Plugin[]} plugins plugins of the instance, added to the registered plugins
+ * @property {string} prefixId prefix of the generated ids
+ * @property {string|null} preset name of a preset defined with definePreset()
+ */
+
+/** @type {DropdownOptions} */
 Dropdown.defaults = {
+  announce: true,
   automaticSelection: false,
   buttonSelector: 'button',
+  debug: false,
   labelSelector: '.dropdown__label',
   listClassName: 'dropdown__list',
   listSelector: 'ul',
+  locale: null,
   mediaQuery: null,
+  messages: {},
   onChange: null,
   onClose: null,
   onListItemClick: null,
   onOpen: null,
-  nonSelectedItemLabel: 'No item selected',
+  nonSelectedItemLabel: null,
+  plugins: [],
   prefixId: 'dropdown',
+  preset: null,
+}
+
+/** @type {Object<string, string>} */
+Dropdown.schema = {
+  announce: 'boolean',
+  automaticSelection: 'boolean|selector',
+  buttonSelector: 'selector',
+  debug: 'boolean',
+  labelSelector: 'selector',
+  listClassName: 'string|null',
+  listSelector: 'selector',
+  locale: 'string|null',
+  mediaQuery: 'mediaQuery|null',
+  messages: 'object',
+  onChange: 'function|null',
+  onClose: 'function|null',
+  onListItemClick: 'function|null',
+  onOpen: 'function|null',
+  nonSelectedItemLabel: 'string|null',
+  plugins: 'object',
+  prefixId: 'string',
+  preset: 'string|null',
 }
 
 export default Dropdown
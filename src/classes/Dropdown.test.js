@@ -65,6 +65,17 @@ test.describe('Dropdown', () => {
     expect(display).toBe('none')
   })
 
+  test('Focus an item of the open listbox, press Escape key, expect the listbox is not visible.', async ({ page }) => {
+    await page.click('#dropdown-1 button')
+    await page.$eval('#dropdown-1 li:nth-child(2)', (listItem) => {
+      listItem.setAttribute('tabindex', '-1')
+      listItem.focus()
+    })
+    await page.keyboard.press('Escape')
+
+    await expect(page.locator('#dropdown-1 ul')).toBeHidden()
+  })
+
   test('Click on "Add item" button, expect there is a Dummy list item.', async ({ page }) => {
     await page.click('#add')
 
@@ -87,4 +98,77 @@ test.describe('Dropdown', () => {
       .evaluate((element) => element.textContent.trim() === '')
     expect(isListItemsEmpty).toBe(true)
   })
+
+  test('Initialize a dropdown without button, expect a button is created with the non selected item label.', async ({
+    page,
+  }) => {
+    const text = await page.evaluate(() => {
+      const Dropdown = document.getElementById('dropdown-1').beapi.Dropdown.constructor
+      const element = document.createElement('div')
+
+      element.innerHTML = '<span class="dropdown__label">Fruit</span><ul><li>Apple</li><li>Pear</li></ul>'
+      document.body.append(element)
+
+      return new Dropdown(element).button.textContent
+    })
+
+    expect(text).toBe('No item selected')
+  })
+
+  test('Type the first letters of an item on the button, expect the item is selected.', async ({ page }) => {
+    await page.focus('#dropdown-1 button')
+    await page.keyboard.type('vi')
+
+    await expect(page.locator('#dropdown-1 li', { hasText: 'Video games' })).toHaveAttribute('aria-selected', 'true')
+  })
+
+  test('Select an item with the keyboard, expect the selected item is announced.', async ({ page }) => {
+    await page.focus('#dropdown-1 button')
+    await page.keyboard.press('Enter')
+    await page.keyboard.press('ArrowDown')
+
+    await expect(page.locator('[data-be-a11y-announcer="polite"]')).toHaveText('Book selected')
+  })
+
+  test('Select an item of a dropdown initialized with announce false, expect nothing is announced.', async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      const Dropdown = document.getElementById('dropdown-1').beapi.Dropdown.constructor
+      const element = document.createElement('div')
+
+      element.id = 'dropdown-silent'
+      element.innerHTML = '<span class="dropdown__label">Fruit</span><ul><li>Apple</li><li>Pear</li></ul>'
+      document.body.append(element)
+      new Dropdown(element, { announce: false })
+    })
+    await page.focus('#dropdown-silent button')
+    await page.keyboard.press('End')
+
+    await expect(page.locator('#dropdown-silent li', { hasText: 'Pear' })).toHaveAttribute('aria-selected', 'true')
+    await expect(page.locator('[data-be-a11y-announcer]')).toHaveCount(0)
+  })
+
+  test('Click on an item added after the initialization, expect the item is selected and the listbox is closed.', async ({
+    page,
+  }) => {
+    await page.click('#add')
+    await page.click('#dropdown-6 button')
+    await page.locator('#dropdown-6 li', { hasText: 'Dummy' }).click()
+
+    await expect(page.locator('#dropdown-6 li', { hasText: 'Dummy' })).toHaveAttribute('aria-selected', 'true')
+    await expect(page.locator('#dropdown-6 button').first()).not.toHaveAttribute('aria-expanded', 'true')
+  })
+
+  test('Destroy every dropdown, expect the delegated click listeners are removed.', async ({ page }) => {
+    const delegatedListeners = await page.evaluate(() => {
+      const dropdowns = Array.prototype.map.call(document.querySelectorAll('.dropdown'), (el) => el.beapi.Dropdown)
+
+      dropdowns.forEach((dropdown) => dropdown.destroy())
+
+      return dropdowns.reduce((count, dropdown) => count + dropdown.getRegistry().delegatedListeners.length, 0)
+    })
+
+    expect(delegatedListeners).toBe(0)
+  })
 })
@@ -1,8 +1,9 @@
+import { FOCUSABLE_SELECTOR, getTabbableElements } from '../utils/focus.js'
 import AbstractDomElement from './AbstractDomElement.js'
-import { ThrottledEvent } from 'oneloop.js'
-import { isSelectorValid, randomId } from '../utils/helpers.js'
-
-const FOCUSABLE_ELEMENTS = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+import Breakpoints from '../utils/Breakpoints.js'
+import FocusTrap from '../utils/FocusTrap.js'
+import { auditButton, auditLabel } from '../utils/diagnostics.js'
+import { claimId, isSelectorValid } from '../utils/helpers.js'
 
 /**
  * Modal Class
@@ -10,6 +11,10 @@ const FOCUSABLE_ELEMENTS = 'button, [href], input, select, textarea, [tabindex]:
  * @author Milan Ricoul
  */
 class Modal extends AbstractDomElement {
+  /**
+   * @param {HTMLElement} element
+   * @param {Partial<ModalOptions>} [options]
+   */
   constructor(element, options) {
     const instance = super(element, options)
 
@@ -18,11 +23,16 @@ class Modal extends AbstractDomElement {
       return instance
     }
 
-    const { onClose, onOpen } = this._settings
+    // mediaQuery option accepts a MediaQueryList, a media query string or a breakpoint name
+    this._settings.mediaQuery = Breakpoints.get(this._settings.mediaQuery)
+
+    const { initialFocus, onClose, onOpen } = this._settings
 
     this.isOpened = false
+    this._focusTrap = new FocusTrap(element, { initialFocus })
+    /** @type {HTMLElement|null} */
     this.triggerButton = null
-    this._onResizeHandler = onResize.bind(this)
+    this._onBreakpointChange = onBreakpointChange.bind(this)
     this.close = this.close.bind(this)
     this.open = this.open.bind(this)
     this._handleOutsideClick = handleOutsideClick.bind(this)
@@ -40,8 +50,13 @@ class Modal extends AbstractDomElement {
 
     this.initialized = false
 
-    new ThrottledEvent(window, 'resize').add('resize', this._onResizeHandler)
-    this._onResizeHandler()
+    if (this._settings.mediaQuery) {
+      Breakpoints.subscribe(this._settings.mediaQuery, this._onBreakpointChange)
+      this.addTeardown(() => Breakpoints.unsubscribe(this._settings.mediaQuery, this._onBreakpointChange))
+    }
+
+    this._onBreakpointChange()
+    this.initPlugins()
   }
 
   /**
@@ -56,14 +71,12 @@ class Modal extends AbstractDomElement {
     const el = this._element
     const { closeButtonSelector, closedClassName, descriptionSelector, labelSelector, triggerSelector } = this._settings
 
-    // Set id
-    if (el.id) {
-      this.id = el.id
-    } else {
-      this.id = `modal-${randomId()}`
+    this.saveAttributes(el, ['id', 'class', 'aria-hidden', 'aria-labelledby', 'aria-describedby'])
+    this.saveAttributes(getFocusableElements.call(this), ['style'])
 
-      el.id = this.id
-    }
+    // Set id
+    this.id = claimId(el, this._settings.prefixId)
+    el.id = this.id
 
     if (el.hasAttribute('aria-hidden') && el.getAttribute('aria-hidden') === 'true') {
       el.classList.add(closedClassName)
@@ -71,12 +84,14 @@ class Modal extends AbstractDomElement {
 
     // Set aria-labelledby attribute
     if (labelSelector && el.querySelector(labelSelector)) {
+      this.saveAttributes(el.querySelector(labelSelector), ['id'])
       el.setAttribute('aria-labelledby', `${this.id}-label`)
       el.querySelector(labelSelector).id = `${this.id}-label`
     }
 
     // Set aria-describedby attribute
     if (descriptionSelector && el.querySelector(descriptionSelector)) {
+      this.saveAttributes(el.querySelector(descriptionSelector), ['id'])
       el.setAttribute('aria-describedby', `${this.id}-description`)
       el.querySelector(descriptionSelector).id = `${this.id}-description`
     }
@@ -84,23 +99,28 @@ class Modal extends AbstractDomElement {
     // Set aria-controls attribute to close button
     if (closeButtonSelector && el.querySelector(closeButtonSelector)) {
       const closeButton = el.querySelector(closeButtonSelector)
+      this.saveAttributes(closeButton, ['id', 'aria-controls'])
       closeButton.id = `${this.id}-close`
       closeButton.setAttribute('aria-controls', this.id)
-      closeButton.addEventListener('click', this.close)
+      this.addListener(closeButton, 'click', this.close)
     }
 
     // if setting triggerButton is defined and exists, set aria-controls attribute to this button
     if (triggerSelector && document.querySelectorAll(triggerSelector).length) {
       document.querySelectorAll(triggerSelector).forEach((btn) => {
+        this.saveAttributes(btn, ['aria-controls'])
         btn.setAttribute('aria-controls', this.id)
       })
     }
 
-    document.querySelectorAll(`button[aria-controls="${this.id}"]:not(#${this.id}-close)`).forEach((btn) => {
-      btn.addEventListener('click', this._handleButtonClick)
+    // the close button is filtered out of the selector, ids starting with a digit are not valid in #id selectors
+    document.querySelectorAll(`button[aria-controls="${this.id}"]`).forEach((btn) => {
+      if (btn.id !== `${this.id}-close`) {
+        this.addListener(btn, 'click', this._handleButtonClick)
+      }
     })
 
-    window.addEventListener('keydown', this._handleKeydown)
+    this.delegate('keydown', null, this._handleKeydown)
   }
 
   /**
@@ -111,6 +131,10 @@ class Modal extends AbstractDomElement {
    * @author Milan Ricoul
    */
   open() {
+    if (!this.dispatch('beforeopen', { trigger: this.triggerButton })) {
+      return
+    }
+
     this.isOpened = true
 
     const el = this._element
@@ -118,22 +142,24 @@ class Modal extends AbstractDomElement {
     el.classList.remove(closedClassName)
     el.classList.add(openedClassName)
     el.removeAttribute('aria-hidden')
-    el.querySelectorAll(FOCUSABLE_ELEMENTS).forEach((element, index) => {
+    getFocusableElements.call(this).forEach((element) => {
       element.style.removeProperty('display')
-
-      if (index === 0) {
-        element.focus()
-      }
     })
 
+    this._focusTrap.activate()
+
     if (this._onOpen) {
       this._onOpen()
     }
 
+    this.dispatch('open', { trigger: this.triggerButton })
+
     if (this._settings.closeOnFocusOutside) {
       // Use requestAnimationFrame to add the event after the initial rendering
       requestAnimationFrame(() => {
-        window.addEventListener('click', this._handleOutsideClick)
+        if (this.isOpened) {
+          this.addListener(window, 'click', this._handleOutsideClick)
+        }
       })
     }
   }
@@ -149,29 +175,36 @@ class Modal extends AbstractDomElement {
     const el = this._element
     const { closedClassName, openedClassName } = this._settings
 
+    if (!this.dispatch('beforeclose', { trigger: this.triggerButton })) {
+      return
+    }
+
     this.isOpened = false
 
     el.classList.add(closedClassName)
     el.classList.remove(openedClassName)
     el.setAttribute('aria-hidden', 'true')
-    el.addEventListener('transitionend', this._handleTransitionEnd)
+    this.addListener(el, 'transitionend', this._handleTransitionEnd)
 
-    if (this.triggerButton) {
-      this.triggerButton.focus()
-    }
+    // the focus goes back to the clicked trigger, or to the element focused before the modal was opened
+    this._focusTrap.deactivate({ returnFocus: this.triggerButton || true })
 
     if (this._onClose) {
       this._onClose()
     }
 
     if (this._settings.closeOnFocusOutside) {
-      window.removeEventListener('click', this._handleOutsideClick)
+      this.removeListener(window, 'click', this._handleOutsideClick)
     }
+
+    this.dispatch('close', { trigger: this.triggerButton })
   }
 
   /**
    * Check if the next focusable element in dialog exists, else focus the first focusable element in dialog
    *
+   * @deprecated the focus is kept in the open modal by a FocusTrap
+   *
    * @param {KeyboardEvent} e keyboard event handler
    *
    * @returns {void}
@@ -179,8 +212,7 @@ class Modal extends AbstractDomElement {
    * @author Milan Ricoul
    */
   checkNextFocusableElement(e) {
-    const el = this._element
-    const focusableElements = el.querySelectorAll(FOCUSABLE_ELEMENTS)
+    const focusableElements = getTabbableElements(this._element)
     const currentIndexOfActiveElement = Array.prototype.indexOf.call(focusableElements, document.activeElement)
 
     if (currentIndexOfActiveElement === 0 && e.shiftKey) {
@@ -195,38 +227,122 @@ class Modal extends AbstractDomElement {
   }
 
   /**
-   * Destroy method
+   * Get the state of the modal
    *
-   * @author Milan Ricoul
+   * @returns {{open: boolean}}
    */
-  destroy() {
-    this.initialized = false
+  getState() {
+    return {
+      open: this.isOpened,
+    }
+  }
+
+  /**
+   * Open or close the modal
+   *
+   * @param {Object} state
+   * @param {boolean} state.open
+   *
+   * @returns {void}
+   */
+  applyState({ open }) {
+    if (!this.initialized || typeof open !== 'boolean' || open === this.getState().open) {
+      return
+    }
+
+    open ? this.open() : this.close()
+  }
+
+  /**
+   * Check the dialog, its close button and its trigger buttons
+   *
+   * @returns {import('./AbstractDomElement.js').AuditIssue[]}
+   */
+  audit() {
     const el = this._element
-    const { closeButtonSelector, closedClassName, openedClassName } = this._settings
+    const { closeButtonSelector } = this._settings
+    const closeButton = closeButtonSelector ? el.querySelector(closeButtonSelector) : null
+    const triggers = el.id ? document.querySelectorAll(`[aria-controls="${el.id}"]`) : []
+    let issues = super.audit().concat(auditLabel(el, 'dialog'))
 
-    el.classList.remove(closedClassName, openedClassName)
-    el.removeAttribute('aria-hidden')
+    if (el.tagName !== 'DIALOG' && ['dialog', 'alertdialog'].indexOf(el.getAttribute('role')) === -1) {
+      issues.push({ message: 'the modal has no dialog or alertdialog role', element: el })
+    }
 
-    if (closeButtonSelector) {
-      el.querySelector(closeButtonSelector).removeEventListener('click', this.close)
+    if (closeButton) {
+      issues = issues.concat(auditButton(closeButton, 'close button'))
+    } else if (closeButtonSelector) {
+      issues.push({ message: `no close button matches closeButtonSelector "${closeButtonSelector}"`, element: el })
     }
 
-    document.querySelectorAll(`button[aria-controls="${this.id}"]`).forEach((btn) => {
-      btn.removeEventListener('click', this.open)
+    if (triggers.length === 0) {
+      issues.push({ message: 'no button opens the modal, add aria-controls or set triggerSelector', element: el })
+    }
+
+    triggers.forEach((trigger) => {
+      if (trigger !== closeButton) {
+        issues = issues.concat(auditButton(trigger, 'trigger'))
+      }
     })
 
-    super.destroy()
+    return issues
+  }
+
+  /**
+   * Destroy method
+   *
+   * @returns {Modal}
+   *
+   * @author Milan Ricoul
+   */
+  destroy() {
+    this.initialized = false
+    this.isOpened = false
+    this._focusTrap.deactivate()
+
+    return super.destroy()
   }
 }
 
 /**
- * Events
+ * Remove classes, ARIA attributes and events when the media query does not match
+ *
+ * @returns {void}
+ */
+function deactivate() {
+  const el = this._element
+  const { closedClassName, openedClassName } = this._settings
+
+  this.initialized = false
+  this.isOpened = false
+  this._focusTrap.deactivate()
+
+  el.classList.remove(closedClassName, openedClassName)
+  el.removeAttribute('aria-hidden')
+
+  this.removeListeners()
+}
+
+/**
+ * Get the elements of the modal reached with the Tab key, hidden or not
+ *
+ * @returns {HTMLElement[]}
+ */
+function getFocusableElements() {
+  return Array.prototype.filter.call(
+    this._element.querySelectorAll(FOCUSABLE_SELECTOR),
+    (element) => element.tabIndex >= 0
+  )
+}
+
+/**
+ * Handle media query change
  *
  * @returns {void}
  *
  * @author Milan Ricoul
  */
-function onResize() {
+function onBreakpointChange() {
   const el = this._element
   const { closedClassName, mediaQuery, openedClassName } = this._settings
 
@@ -235,7 +351,7 @@ function onResize() {
   }
 
   if (mediaQuery && this.initialized && !mediaQuery.matches) {
-    this.destroy()
+    deactivate.call(this)
   } else if (!this.initialized && mediaQuery && mediaQuery.matches) {
     this.init()
   } else if (
@@ -276,9 +392,6 @@ function handleButtonClick(e) {
  */
 function handleKeydown(e) {
   switch (e.code) {
-    case 'Tab':
-      this.checkNextFocusableElement(e)
-      break
     case 'Escape':
       if (this.isOpened && this._settings.closeOnEscapeKey) {
         this.close()
@@ -322,25 +435,74 @@ function handleOutsideClick(e) {
 function handleTransitionEnd() {
   const el = this._element
 
-  el.querySelectorAll(FOCUSABLE_ELEMENTS).forEach((element) => {
+  getFocusableElements.call(this).forEach((element) => {
     element.style.display = 'none'
   })
 
-  el.removeEventListener('transitionend', this._handleTransitionEnd)
+  this.removeListener(el, 'transitionend', this._handleTransitionEnd)
 }
 
+Modal.nameSpace = 'Modal'
+
+/**
+ * @typedef {Object} ModalOptions
+ * @property {string|false} closeButtonSelector
+ * @property {string} closedClassName
+ * @property {boolean} closeOnEscapeKey
+ * @property {boolean|string} closeOnFocusOutside close on click outside the modal, or outside the selector
+ * @property {boolean} debug validate the options and audit the markup
+ * @property {string|false} descriptionSelector element referenced by aria-describedby
+ * @property {string|null} initialFocus element focused on open, the first element with an autofocus attribute or the
+ * first tabbable element by default
+ * @property {string|false} labelSelector element referenced by aria-labelledby
+ * @property {MediaQueryList|string|null} mediaQuery media query, breakpoint name or MediaQueryList
+ * @property {string} openedClassName
+ * @property {((this: Modal) => void)|null} onOpen
+ * @property {((this: Modal) => void)|null} onClose
+ * @property {import('./AbstractDomElement.js').Plugin[]} plugins plugins of the instance, added to the registered plugins
+ * @property {string} prefixId prefix of the generated ids
+ * @property {string|null} preset name of a preset defined with definePreset()
+ * @property {string|false} triggerSelector buttons opening the modal, aria-controls is set on them
+ */
+
+/** @type {ModalOptions} */
 Modal.defaults = {
   closeButtonSelector: '.modal__close',
   closedClassName: 'modal--hidden',
   closeOnEscapeKey: true,
   closeOnFocusOutside: false,
+  debug: false,
   descriptionSelector: false,
+  initialFocus: null,
   labelSelector: false,
   mediaQuery: null,
   openedClassName: 'modal--visible',
   onOpen: null,
   onClose: null,
+  plugins: [],
+  prefixId: 'modal',
+  preset: null,
   triggerSelector: false,
 }
 
+/** @type {Object<string, string>} */
+Modal.schema = {
+  closeButtonSelector: 'selector|boolean',
+  closedClassName: 'string',
+  closeOnEscapeKey: 'boolean',
+  closeOnFocusOutside: 'boolean|selector',
+  debug: 'boolean',
+  descriptionSelector: 'selector|boolean',
+  initialFocus: 'selector|null',
+  labelSelector: 'selector|boolean',
+  mediaQuery: 'mediaQuery|null',
+  openedClassName: 'string',
+  onOpen: 'function|null',
+  onClose: 'function|null',
+  plugins: 'object',
+  prefixId: 'string',
+  preset: 'string|null',
+  triggerSelector: 'selector|boolean',
+}
+
 export default Modal
@@ -61,4 +61,72 @@ test.describe('Modal', () => {
 
     expect(display).toBe('grid')
   })
+
+  test('Open and close the modal dialog, expect "be-a11y:open" and "be-a11y:close" events are dispatched.', async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      window.modalEvents = []
+      document.getElementById('demo-1').addEventListener('be-a11y:open', (e) => window.modalEvents.push(e.type))
+      document.getElementById('demo-1').addEventListener('be-a11y:close', (e) => window.modalEvents.push(e.type))
+    })
+    await page.click('button[aria-controls="demo-1"]')
+    await page.click('#demo-1-close')
+
+    expect(await page.evaluate(() => window.modalEvents)).toEqual(['be-a11y:open', 'be-a11y:close'])
+  })
+
+  test('Load the page, expect the Escape key is handled by delegated listeners removed on destroy.', async ({
+    page,
+  }) => {
+    const registry = await page.evaluate(() => {
+      const modal = document.getElementById('demo-1').beapi.Modal
+      const isKeydown = (listener) => listener.type === 'keydown'
+      const before = {
+        delegatedListeners: modal.getRegistry().delegatedListeners.filter(isKeydown).length,
+        listeners: modal.getRegistry().listeners.filter(isKeydown).length,
+      }
+
+      modal.destroy()
+
+      return { before, after: modal.getRegistry().delegatedListeners.length }
+    })
+
+    expect(registry).toEqual({ before: { delegatedListeners: 1, listeners: 0 }, after: 0 })
+  })
+
+  test('Open the modal dialog, disable the close button and press "Shift Tab" key, expect the disabled button is skipped.', async ({
+    page,
+  }) => {
+    await page.click('button[aria-controls="demo-1"]')
+    await page.evaluate(() => document.getElementById('demo-1-close').setAttribute('disabled', ''))
+    await page.keyboard.press('Shift+Tab')
+
+    await expect(page.locator('#special_instructions')).toBeFocused()
+  })
+
+  test('Add a button to the open modal dialog and press "Shift Tab" key, expect the added button is focused.', async ({
+    page,
+  }) => {
+    await page.click('button[aria-controls="demo-1"]')
+    await page.evaluate(() => {
+      const button = document.createElement('button')
+
+      button.id = 'demo-1-added'
+      button.textContent = 'Save'
+      document.querySelector('#demo-1 .modal__inner').append(button)
+    })
+    await page.keyboard.press('Shift+Tab')
+
+    await expect(page.locator('#demo-1-added')).toBeFocused()
+  })
+
+  test('Close the modal dialog with the "Escape" key, expect the focus goes back to the trigger button.', async ({
+    page,
+  }) => {
+    await page.click('button[aria-controls="demo-1"]')
+    await page.keyboard.press('Escape')
+
+    await expect(page.locator('button[aria-controls="demo-1"]')).toBeFocused()
+  })
 })
@@ -1,11 +1,16 @@
-import { each, getMaxHeight } from '../utils/helpers'
+import { each, getDirection, getMaxHeight } from '../utils/helpers.js'
 
-import AbstractDomElement from './AbstractDomElement'
-import { ThrottledEvent } from 'oneloop.js'
-import imagesLoaded from '../utils/imagesLoaded'
-import noop from '../utils/noop'
+import AbstractDomElement from './AbstractDomElement.js'
+import KeyboardNavigation from '../utils/KeyboardNavigation.js'
+import { auditButton, auditRequired } from '../utils/diagnostics.js'
+import imagesLoaded from '../utils/imagesLoaded.js'
+import noop from '../utils/noop.js'
 
 class Slider extends AbstractDomElement {
+  /**
+   * @param {HTMLElement} element
+   * @param {Partial<SliderOptions>} [options]
+   */
   constructor(element, options) {
     const instance = super(element, options)
 
@@ -30,7 +35,7 @@ class Slider extends AbstractDomElement {
       start: 0,
       end: 0,
     }
-    this._resize = null
+    this._resizeFrame = null
     this._isPrevEnabled = true
     this._isNextEnabled = true
 
@@ -40,23 +45,25 @@ class Slider extends AbstractDomElement {
     this._onPointerDown = onPointerDown.bind(this)
     this._onPointerMove = onPointerMove.bind(this)
     this._onPointerUp = onPointerUp.bind(this)
-    this._onKeyDown = onKeydown.bind(this)
-    this._onResize = this.refresh.bind(this)
+    this._onMove = onMove.bind(this)
+    this._onResize = onResize.bind(this)
     this._onClickDot = onClickDot.bind(this)
     this._onRequestPrev = onRequestPrev.bind(this)
     this._onRequestNext = onRequestNext.bind(this)
 
+    saveMarkup.call(this)
+
     // hide nav if only on item
     if (this._item.length <= 1) {
       el.classList.add(s.hiddenNavClass)
     }
 
     // add aria attributes
-    el.setAttribute('aria-roledescription', 'carrousel')
+    el.setAttribute('aria-roledescription', this.t('roleDescription'))
 
     each(this._item, (item) => {
       item.setAttribute('role', 'group')
-      item.setAttribute('aria-roledescription', 'slide')
+      item.setAttribute('aria-roledescription', this.t('slideRoleDescription'))
     })
 
     if (this._liveRegion) {
@@ -66,24 +73,29 @@ class Slider extends AbstractDomElement {
 
     // init prev
     if (this._prev) {
-      this._prev.addEventListener('click', this._onRequestPrev)
+      this.addListener(this._prev, 'click', this._onRequestPrev)
     }
 
     // init next
     if (this._next) {
-      this._next.addEventListener('click', this._onRequestNext)
+      this.addListener(this._next, 'click', this._onRequestNext)
     }
 
     // create dots list if dots option = true
     if (s.dots && this._item.length > 1) {
-      this._dots = createDotList(this._item.length, s.dotsListClass, this._onClickDot)
+      this._dots = createDotList(this._item.length, s.dotsListClass)
       el.appendChild(this._dots)
+
+      each(this._dots.getElementsByTagName('button'), (button, i, total) => {
+        button.setAttribute('aria-label', this.t('dotLabel', { index: i + 1, total }))
+        this.addListener(button, 'click', this._onClickDot)
+      })
     }
 
     // if custom links are already in DOM, add event
     if (this._customLinks) {
       each(this._customLinks.getElementsByTagName('button'), (button) => {
-        button.addEventListener('click', this._onClickDot)
+        this.addListener(button, 'click', this._onClickDot)
       })
     }
 
@@ -91,18 +103,18 @@ class Slider extends AbstractDomElement {
     if (s.clickableItem) {
       each(this._item, (item, i) => {
         item.setAttribute('data-index', i)
-        item.addEventListener('click', this._onClickItem)
+        this.addListener(item, 'click', this._onClickItem)
       })
     }
 
     // if items container must update his height accordingly to current item
     if (s.adaptiveHeight) {
       each(this._item, (item) => {
-        item.addEventListener('transitionend', this._onTransitionEnd)
+        this.addListener(item, 'transitionend', this._onTransitionEnd)
       })
 
-      this._resize = new ThrottledEvent(window, 'resize')
-      this._resize.add('resize', this._onResize)
+      this.addListener(window, 'resize', this._onResize, { passive: true })
+      this.addTeardown(() => cancelAnimationFrame(this._resizeFrame))
 
       imagesLoaded(el.getElementsByTagName('img'), null, () => {
         this.refresh()
@@ -117,30 +129,41 @@ class Slider extends AbstractDomElement {
       el.appendChild(this._counter)
     }
 
-    // set keyboard events
-    el.addEventListener('keydown', this._onKeyDown)
+    // set keyboard events, the slider keeps the focus and the keys change the current item
+    this._keyboardNavigation = new KeyboardNavigation(el, {
+      items: () => this._item,
+      mode: 'custom',
+      // the keys pressed on the buttons and in the items keep their default action
+      owner: el,
+      current: () => this._item[this._current],
+      orientation: 'horizontal',
+      direction: s.direction,
+      wrap: s.infinite,
+      onMove: this._onMove,
+    })
 
     // set swipe behavior events
     if (s.touch) {
-      el.addEventListener('touchstart', this._onTouchStart)
+      this.addListener(el, 'touchstart', this._onTouchStart)
 
-      el.addEventListener('touchstart', this._onPointerDown)
-      el.addEventListener('touchmove', this._onPointerMove)
-      el.addEventListener('touchend', this._onPointerUp)
+      this.addListener(el, 'touchstart', this._onPointerDown)
+      this.addListener(el, 'touchmove', this._onPointerMove)
+      this.addListener(el, 'touchend', this._onPointerUp)
 
-      el.addEventListener('mousedown', this._onPointerDown)
-      el.addEventListener('mousemove', this._onPointerMove)
-      el.addEventListener('mouseup', this._onPointerUp)
+      this.addListener(el, 'mousedown', this._onPointerDown)
+      this.addListener(el, 'mousemove', this._onPointerMove)
+      this.addListener(el, 'mouseup', this._onPointerUp)
     }
 
     // go to current item
     this.goto(s.current)
+    this.initPlugins()
   }
 
   /**
    * Get element
    *
-   * @returns domElement -> The element on which the slider was initialized
+   * @returns {HTMLElement} The element on which the slider was initialized
    */
   getElement() {
     return this._element
@@ -149,7 +172,7 @@ class Slider extends AbstractDomElement {
   /**
    * Get item count
    *
-   * @returns number -> Number of items in slider
+   * @returns {number} Number of items in slider
    */
   getItemLength() {
     return this._item.length
@@ -158,7 +181,7 @@ class Slider extends AbstractDomElement {
   /**
    * Get current index
    *
-   * @returns number -> Current index of the slider
+   * @returns {number} Current index of the slider
    */
   getCurrentIndex() {
     return this._current
@@ -167,9 +190,9 @@ class Slider extends AbstractDomElement {
   /**
    * Go to previous
    *
-   * @param {boolean} announceItem update the live region if true
+   * @param {boolean} [announceItem] announce the item to screen readers if true
    *
-   * @returns {object}
+   * @returns {Slider}
    */
   prev(announceItem) {
     this.goto(this._current - 1, announceItem, -1)
@@ -179,9 +202,9 @@ class Slider extends AbstractDomElement {
   /**
    * Go to next
    *
-   * @param {boolean} announceItem update the live region if true
+   * @param {boolean} [announceItem] announce the item to screen readers if true
    *
-   * @returns {object}
+   * @returns {Slider}
    */
   next(announceItem) {
     this.goto(this._current + 1, announceItem, 1)
@@ -192,10 +215,10 @@ class Slider extends AbstractDomElement {
    * Go to
    *
    * @param {number} index -> position to reach
-   * @param {boolean} announceItem -> update the live region if true
-   * @param {number} dir 1|-1 optional
+   * @param {boolean} [announceItem] -> announce the item to screen readers if true
+   * @param {number} [dir] 1|-1 optional
    *
-   * @returns {object}
+   * @returns {Slider}
    */
   goto(index, announceItem, dir) {
     const s = this._settings
@@ -208,6 +231,12 @@ class Slider extends AbstractDomElement {
       dir = index > this._lastDir ? 1 : -1
     }
 
+    if (!this.dispatch('beforechange', { index, previousIndex: this._current, direction: dir })) {
+      return this
+    }
+
+    const previousIndex = this._current
+
     if (s.infinite) {
       for (let i = 1; i <= half; i++) {
         setPosition.call(this, (index - i + l) % l, -i)
@@ -261,15 +290,20 @@ class Slider extends AbstractDomElement {
     }
 
     if (this._counter) {
-      this._counter.textContent = index + 1 + ' / ' + l
+      this._counter.textContent = this.t('counter', { current: index + 1, total: l })
     }
 
-    if (announceItem && this._liveRegion) {
-      this._liveRegion.textContent = this._item[index].getAttribute('aria-label')
+    if (announceItem && s.announce) {
+      const message =
+        this._item[index].getAttribute('aria-label') || this.t('announcement', { current: index + 1, total: l })
+
+      // the live region of the markup is optional, the shared live regions are used without it
+      this._liveRegion ? (this._liveRegion.textContent = message) : this.announce(message)
     }
 
     if (this._lastDir !== dir) {
-      this._element.setAttribute(s.dirAttr, dir)
+      // the attribute holds the visual direction, mirrored in right-to-left layouts
+      this._element.setAttribute(s.dirAttr, isRtl.call(this) ? -dir : dir)
       this._lastDir = dir
     }
 
@@ -278,6 +312,8 @@ class Slider extends AbstractDomElement {
 
     s.onGoto.call(this, index, dir)
 
+    this.dispatch('change', { index, previousIndex, direction: dir })
+
     return this
   }
 
@@ -291,12 +327,103 @@ class Slider extends AbstractDomElement {
 
     return this
   }
+
+  /**
+   * Get the state of the slider
+   *
+   * @returns {{current: number}} index of the current slide
+   */
+  getState() {
+    return {
+      current: this._current,
+    }
+  }
+
+  /**
+   * Go to a slide
+   *
+   * @param {Object} state
+   * @param {number} state.current index of the current slide
+   *
+   * @returns {void}
+   */
+  applyState({ current }) {
+    if (typeof current === 'number' && current !== this._current) {
+      this.goto(current)
+    }
+  }
+
+  /**
+   * Check the items, the navigation buttons and the custom links
+   *
+   * @returns {import('./AbstractDomElement.js').AuditIssue[]}
+   */
+  audit() {
+    const s = this._settings
+    const el = this._element
+    let issues = super
+      .audit()
+      .concat(auditRequired(this._items, `no items container matches the items option "${s.items}"`, el))
+      .concat(auditRequired(this._item[0], `no item matches the item option "${s.item}"`, el))
+      .concat(this._prev ? auditButton(this._prev, 'previous button') : [])
+      .concat(this._next ? auditButton(this._next, 'next button') : [])
+
+    if (this._customLinks) {
+      each(this._customLinks.getElementsByTagName('button'), (button) => {
+        issues = issues.concat(auditButton(button, 'custom link'))
+      })
+    }
+
+    return issues
+  }
+
+  /**
+   * Destroy, remove the dots and the counter, restore the markup and remove every event
+   *
+   * @returns {Slider}
+   */
+  destroy() {
+    if (this._dots) {
+      this._dots.remove()
+      this._dots = null
+    }
+
+    if (this._counter) {
+      this._counter.remove()
+      this._counter = null
+    }
+
+    if (this._liveRegion) {
+      this._liveRegion.textContent = ''
+    }
+
+    this._keyboardNavigation.destroy()
+
+    return super.destroy()
+  }
 }
 
 // ----
 // private
 // ----
 
+/**
+ * Save the attributes changed by the slider, restored on destroy
+ */
+function saveMarkup() {
+  const s = this._settings
+
+  this.saveAttributes(this._element, ['class', 'aria-roledescription', s.currentAttr, s.dirAttr])
+  this.saveAttributes(this._item, ['role', 'aria-roledescription', 'aria-hidden', 'tabindex', 'data-index', s.posAttr])
+  this.saveAttributes(this._items, ['style'])
+  this.saveAttributes(this._liveRegion, ['aria-live', 'aria-atomic'])
+  this.saveAttributes([this._prev, this._next].filter(Boolean), ['disabled'])
+
+  if (this._customLinks) {
+    this.saveAttributes(this._customLinks.getElementsByTagName('button'), ['class', 'aria-current'])
+  }
+}
+
 /**
  * Set position of slides
  *
@@ -308,13 +435,23 @@ function setPosition(index, pos) {
 
   pos = Math.max(Math.min(pos, s.maxNextPos), s.maxPrevPos)
 
-  this._item[index].setAttribute(s.posAttr, pos)
+  // the attribute holds the visual position, the next items are on the left in right-to-left layouts
+  this._item[index].setAttribute(s.posAttr, isRtl.call(this) && pos !== 0 ? -pos : pos)
   this._item[index].setAttribute('aria-hidden', pos !== 0)
   this._item[index].setAttribute('tabindex', pos !== 0 ? -1 : 0)
 
   s.onSetPosition.call(this, index, pos)
 }
 
+/**
+ * Check if the slider is laid out from right to left, with the direction option or the computed direction
+ *
+ * @returns {boolean}
+ */
+function isRtl() {
+  return getDirection(this._element, this._settings.direction) === 'rtl'
+}
+
 /**
  * Set dot active
  * @param {HTMLElement} container dots unordered list
@@ -360,6 +497,20 @@ function onClickItem(e) {
   this.goto(index)
 }
 
+/**
+ * Window resize callback, refresh once per frame
+ */
+function onResize() {
+  if (this._resizeFrame) {
+    return
+  }
+
+  this._resizeFrame = requestAnimationFrame(() => {
+    this._resizeFrame = null
+    this.refresh()
+  })
+}
+
 /**
  * Transition end callback
  *
@@ -379,9 +530,9 @@ function onTransitionEnd(e) {
  * Transition start callback
  */
 function onTouchStart() {
-  this._element.removeEventListener('mousedown', this._onPointerDown)
-  this._element.removeEventListener('mousemove', this._onPointerMove)
-  this._element.removeEventListener('mouseup', this._onPointerUp)
+  this.removeListener(this._element, 'mousedown', this._onPointerDown)
+  this.removeListener(this._element, 'mousemove', this._onPointerMove)
+  this.removeListener(this._element, 'mouseup', this._onPointerUp)
 }
 
 /**
@@ -414,7 +565,10 @@ function onPointerMove(e) {
  */
 function onPointerUp() {
   if (Math.abs(this._pointerPositions.start - this._pointerPositions.move) > 50) {
-    this[this._pointerPositions.start > this._pointerPositions.move ? 'next' : 'prev']()
+    // swiping to the left goes to the next item, to the previous one in right-to-left layouts
+    const isSwipeLeft = this._pointerPositions.start > this._pointerPositions.move
+
+    this[isSwipeLeft !== isRtl.call(this) ? 'next' : 'prev']()
   }
 }
 
@@ -437,33 +591,18 @@ function onRequestNext() {
 }
 
 /**
- * Handle keyboard keydown
+ * Go to the item reached with the keyboard, the arrow keys announce the item
  *
- * @param {KeyboardEvent} e Keyboard keydown event
+ * @param {HTMLElement} item
+ * @param {import('../utils/KeyboardNavigation.js').KeyboardNavigationMove} move
  *
  * @returns {void}
  */
-function onKeydown(e) {
-  if (this._element !== document.activeElement) {
-    return
-  }
-
-  switch (e.code) {
-    case 'ArrowLeft':
-      e.preventDefault()
-      this._onRequestPrev()
-      break
-    case 'ArrowRight':
-      e.preventDefault()
-      this._onRequestNext()
-      break
-    case 'Home':
-      e.preventDefault()
-      this.goto(0)
-      break
-    case 'End':
-      e.preventDefault()
-      this.goto(this.getItemLength() - 1)
+function onMove(item, { index, direction, event }) {
+  if (event.key === 'Home' || event.key === 'End') {
+    this.goto(index)
+  } else {
+    this.goto(index, true, direction)
   }
 }
 
@@ -476,11 +615,10 @@ function onKeydown(e) {
  *
  * @param {Number} nbDot number of dots
  * @param {HTMLElement} dotsListClass wrapper list element
- * @param {Function} onClick click callback
  *
  * @returns {HTMLElement}
  */
-function createDotList(nbDot, dotsListClass, onClick) {
+function createDotList(nbDot, dotsListClass) {
   const ul = document.createElement('ul')
 
   for (let i = 1; i <= nbDot; i++) {
@@ -490,7 +628,6 @@ function createDotList(nbDot, dotsListClass, onClick) {
     button.setAttribute('type', 'button')
     button.textContent = i
     button.value = i - 1
-    button.addEventListener('click', onClick)
 
     li.appendChild(button)
     ul.appendChild(li)
@@ -515,6 +652,46 @@ function normalizeEvent(e) {
 // ----
 // defaults
 // ----
+Slider.nameSpace = 'Slider'
+
+/**
+ * @typedef {Object} SliderOptions
+ * @property {string} posAttr attribute holding the position of each item
+ * @property {string} dirAttr attribute holding the last move direction
+ * @property {string} currentAttr attribute holding the current index
+ * @property {string} dotsListClass
+ * @property {string} activeClass class of the current dot
+ * @property {string} hiddenNavClass class added when there is less than 2 items
+ * @property {string} counterClass
+ * @property {string} items items container selector
+ * @property {string} item item selector
+ * @property {string} prev previous button selector
+ * @property {string} next next button selector
+ * @property {string} customLinks custom links container selector
+ * @property {string} liveRegion live region selector, the shared live regions are used if there is none
+ * @property {boolean} announce announce the item reached with the navigation buttons or the keyboard
+ * @property {number} current index of the first current item
+ * @property {boolean} adaptiveHeight update the height of the items container
+ * @property {boolean} infinite
+ * @property {boolean} dots create a dot button for each item
+ * @property {boolean} counter create a counter
+ * @property {number} maxPrevPos
+ * @property {number} maxNextPos
+ * @property {boolean} touch enable swipe
+ * @property {boolean} clickableItem go to an item on click
+ * @property {(this: Slider, index: number, position: number) => void} onSetPosition
+ * @property {(this: Slider, index: number, direction: number) => void} onGoto
+ * @property {(e: MouseEvent, item: HTMLElement, index: number) => void} onClickItem
+ * @property {string|null} locale locale of the messages
+ * @property {Object<string, string>} messages messages overriding the catalog
+ * @property {boolean} debug validate the options and audit the markup
+ * @property {'ltr'|'rtl'|null} direction text direction mirroring the arrow keys, the swipe gestures and the
+ * position and direction attributes, the computed direction if null
+ * @property {import('./AbstractDomElement.js').Plugin[]} plugins plugins of the instance, added to the registered plugins
+ * @property {string|null} preset name of a preset defined with definePreset()
+ */
+
+/** @type {SliderOptions} */
 Slider.defaults = {
   posAttr: 'data-pos',
   dirAttr: 'data-dir',
@@ -529,6 +706,7 @@ Slider.defaults = {
   next: '.slider__next',
   customLinks: '.slider__custom-links',
   liveRegion: '.slider__live-region',
+  announce: true,
   current: 0,
   adaptiveHeight: true,
   infinite: false,
@@ -541,6 +719,48 @@ Slider.defaults = {
   onSetPosition: noop,
   onGoto: noop,
   onClickItem: noop,
+  locale: null,
+  messages: {},
+  debug: false,
+  direction: null,
+  plugins: [],
+  preset: null,
+}
+
+/** @type {Object<string, string>} */
+Slider.schema = {
+  posAttr: 'string',
+  dirAttr: 'string',
+  currentAttr: 'string',
+  dotsListClass: 'string',
+  activeClass: 'string',
+  hiddenNavClass: 'string',
+  counterClass: 'string',
+  items: 'selector',
+  item: 'selector',
+  prev: 'selector',
+  next: 'selector',
+  customLinks: 'selector',
+  liveRegion: 'selector',
+  announce: 'boolean',
+  current: 'number',
+  adaptiveHeight: 'boolean',
+  infinite: 'boolean',
+  dots: 'boolean',
+  counter: 'boolean',
+  maxPrevPos: 'number',
+  maxNextPos: 'number',
+  touch: 'boolean',
+  clickableItem: 'boolean',
+  onSetPosition: 'function',
+  onGoto: 'function',
+  onClickItem: 'function',
+  locale: 'string|null',
+  messages: 'object',
+  debug: 'boolean',
+  direction: 'string|null',
+  plugins: 'object',
+  preset: 'string|null',
 }
 
 // ----
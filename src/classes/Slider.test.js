@@ -39,4 +39,54 @@ test.describe('Slider', () => {
 
     expect(slider).toBe('-1')
   })
+
+  test('Load the page, expect the dots are labeled with the translated message.', async ({ page }) => {
+    await expect(page.locator('.slider__dots button').nth(1)).toHaveAttribute('aria-label', 'Slide 2 of 5')
+    await expect(page.locator('.slider')).toHaveAttribute('aria-roledescription', 'carousel')
+  })
+
+  test('Change the lang attribute of the page, expect the messages are translated.', async ({ page }) => {
+    const messages = await page.evaluate(() => {
+      const slider = document.querySelector('.slider').beapi.Slider
+
+      document.documentElement.lang = 'fr-FR'
+
+      return [slider.t('dotLabel', { index: 1, total: 5 }), slider.t('roleDescription')]
+    })
+
+    expect(messages).toEqual(['Diapositive 1 sur 5', 'carrousel'])
+  })
+
+  test('Set the page direction to right-to-left then click on next button, expect the positions are mirrored.', async ({
+    page,
+  }) => {
+    await page.evaluate(() => (document.documentElement.dir = 'rtl'))
+    await page.click('.slider__next')
+
+    await expect(page.locator('.slider')).toHaveAttribute('data-dir', '-1')
+    await expect(page.locator('.slider__item').nth(0)).toHaveAttribute('data-pos', '1')
+    await expect(page.locator('.slider__item').nth(2)).toHaveAttribute('data-pos', '-1')
+  })
+
+  test('Press ArrowRight on a link in an item, expect the current item is unchanged.', async ({ page }) => {
+    await page.focus('.slider__credit')
+    await page.keyboard.press('ArrowRight')
+
+    await expect(page.locator('.slider')).toHaveAttribute('data-current', '0')
+  })
+
+  test('Initialize a right-to-left slider, expect ArrowLeft goes to the next item.', async ({ page }) => {
+    await page.evaluate(() => {
+      const slider = document.querySelector('.slider')
+      const Slider = slider.beapi.Slider.constructor
+
+      Slider.destroy(slider)
+      new Slider(slider, { direction: 'rtl' })
+    })
+
+    await page.focus('.slider')
+    await page.keyboard.press('ArrowLeft')
+
+    await expect(page.locator('.slider')).toHaveAttribute('data-current', '1')
+  })
 })
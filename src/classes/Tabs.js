@@ -1,10 +1,17 @@
+import { auditButton, auditLabel, auditRequired } from '../utils/diagnostics.js'
 import AbstractDomElement from './AbstractDomElement.js'
+import { getFragmentTarget, supportsHiddenUntilFound } from '../utils/helpers.js'
+import KeyboardNavigation from '../utils/KeyboardNavigation.js'
 
 /**
  * Tabs Class
  * @author Milan Ricoul
  */
 class Tabs extends AbstractDomElement {
+  /**
+   * @param {HTMLElement} element
+   * @param {Partial<TabsOptions>} [options]
+   */
   constructor(element, options) {
     var instance = super(element, options)
 
@@ -13,17 +20,15 @@ class Tabs extends AbstractDomElement {
       return instance
     }
 
-    this.focus = false
-    this._handleButtonBlur = handleButtonBlur.bind(this)
+    this._keyboardNavigation = null
     this._handleButtonClick = handleButtonClick.bind(this)
-    this._handleButtonFocus = handleButtonFocus.bind(this)
+    this._handleBeforeMatch = handleBeforeMatch.bind(this)
+    this._handleHashChange = handleHashChange.bind(this)
     this._handleKeydown = handleKeydown.bind(this)
-    this._focusPreviousTab = focusPreviousTab.bind(this)
-    this._focusNextTab = focusNextTab.bind(this)
-    this._focusFirstTab = focusFirstTab.bind(this)
-    this._focusLastTab = focusLastTab.bind(this)
+    this._handleMove = handleMove.bind(this)
     this.close = this.close.bind(this)
     this.init()
+    this.initPlugins()
   }
 
   /**
@@ -34,32 +39,47 @@ class Tabs extends AbstractDomElement {
    * @author Milan Ricoul
    */
   init() {
-    const buttons = this._element.querySelectorAll(this._settings.tabListSelector)
+    const { hiddenUntilFound, tabListSelector, tabPanelSelector } = this._settings
+    const buttons = this._element.querySelectorAll(tabListSelector)
+    const panels = this._element.querySelectorAll(tabPanelSelector)
+
+    this.saveAttributes(buttons, ['aria-selected', 'tabindex'])
+    this.saveAttributes(panels, ['hidden'])
+
+    this.delegate('click', tabListSelector, this._handleButtonClick)
+
+    if (hiddenUntilFound) {
+      // find-in-page reveals the panels hidden with hidden="until-found"
+      Array.prototype.filter
+        .call(panels, (panel) => panel.hasAttribute('hidden'))
+        .forEach((panel) => hidePanel.call(this, panel))
+      this.delegate('beforematch', tabPanelSelector, this._handleBeforeMatch)
+      this.addListener(window, 'hashchange', this._handleHashChange)
+      this._handleHashChange()
+    }
 
-    buttons.forEach((button) => {
-      button.addEventListener('click', this._handleButtonClick)
-      button.addEventListener('focus', this._handleButtonFocus)
-      button.addEventListener('blur', this._handleButtonBlur)
+    this._keyboardNavigation = new KeyboardNavigation(this._element, {
+      items: tabListSelector,
+      orientation: 'horizontal',
+      direction: this._settings.direction,
+      onKeydown: this._handleKeydown,
+      onMove: this._handleMove,
     })
-
-    document.addEventListener('keydown', this._handleKeydown)
   }
 
   /**
    * Destroy method
    *
-   * @returns {void}
+   * @returns {Tabs}
    *
    * @author Milan Ricoul
    */
   destroy() {
-    const buttons = this._element.querySelectorAll(this._settings.tabListSelector)
-
-    buttons.forEach((button) => button.removeEventListener('click', this.handleButtonClick))
-
-    document.removeEventListener('keydown', this.handleKeydown)
+    if (this._keyboardNavigation) {
+      this._keyboardNavigation.destroy()
+    }
 
-    super.destroy()
+    return super.destroy()
   }
 
   /**
@@ -79,19 +99,27 @@ class Tabs extends AbstractDomElement {
    * Open tab panel
    *
    * @param {HTMLElement} button clicked button
+   * @param {boolean} focus move the focus to the button
    *
    * @returns {void}
    *
    * @author Milan Ricoul
    */
-  open(button) {
+  open(button, focus = true) {
     const buttons = this._element.querySelectorAll(this._settings.tabListSelector)
     const { onTabChange } = this._settings
     const panel = document.getElementById(button.getAttribute('aria-controls'))
+    const previousTab = this._element.querySelector(`${this._settings.tabListSelector}[aria-selected="true"]`)
+
+    if (!this.dispatch('beforechange', { tab: button, panel, previousTab })) {
+      return
+    }
 
     buttons.forEach((button) => this.close(button))
 
-    button.focus()
+    if (focus) {
+      button.focus()
+    }
     button.setAttribute('aria-selected', 'true')
     button.removeAttribute('tabindex')
     panel.removeAttribute('hidden')
@@ -99,6 +127,8 @@ class Tabs extends AbstractDomElement {
     if (onTabChange) {
       onTabChange.bind(this)()
     }
+
+    this.dispatch('change', { tab: button, panel, previousTab })
   }
 
   /**
@@ -114,7 +144,65 @@ class Tabs extends AbstractDomElement {
     const panel = document.getElementById(button.getAttribute('aria-controls'))
     button.setAttribute('aria-selected', 'false')
     button.setAttribute('tabindex', '-1')
-    panel.setAttribute('hidden', '')
+    hidePanel.call(this, panel)
+  }
+
+  /**
+   * Get the state of the tabs
+   *
+   * @returns {{selected: number}} index of the selected tab, -1 if no tab is selected
+   */
+  getState() {
+    return {
+      selected: Array.prototype.findIndex.call(
+        this._element.querySelectorAll(this._settings.tabListSelector),
+        (button) => button.getAttribute('aria-selected') === 'true'
+      ),
+    }
+  }
+
+  /**
+   * Select a tab without moving the focus
+   *
+   * @param {Object} state
+   * @param {number} state.selected index of the selected tab
+   *
+   * @returns {void}
+   */
+  applyState({ selected }) {
+    const button = this._element.querySelectorAll(this._settings.tabListSelector)[selected]
+
+    if (button && button.getAttribute('aria-selected') !== 'true') {
+      this.open(button, false)
+    }
+  }
+
+  /**
+   * Check the tabs and the panels they control
+   *
+   * @returns {import('./AbstractDomElement.js').AuditIssue[]}
+   */
+  audit() {
+    const el = this._element
+    const { tabListSelector } = this._settings
+    const tabs = el.querySelectorAll(tabListSelector)
+    let issues = super.audit().concat(auditRequired(tabs[0], `no tab matches tabListSelector "${tabListSelector}"`, el))
+
+    tabs.forEach((tab) => {
+      const panel = document.getElementById(tab.getAttribute('aria-controls'))
+
+      issues = issues.concat(auditButton(tab, 'tab'))
+
+      if (tab.parentNode.getAttribute('role') !== 'tablist') {
+        issues.push({ message: 'the parent of the tab has no tablist role', element: tab })
+      }
+
+      issues = panel
+        ? issues.concat(auditLabel(panel, 'panel'))
+        : issues.concat({ message: 'the tab does not control an existing panel with aria-controls', element: tab })
+    })
+
+    return issues
   }
 
   /**
@@ -134,9 +222,16 @@ class Tabs extends AbstractDomElement {
       activeElement.hasAttribute('data-deletable')
     ) {
       const panel = document.getElementById(activeElement.getAttribute('aria-controls'))
+
+      if (!this.dispatch('beforeremove', { tab: activeElement, panel })) {
+        return
+      }
+
       panel.parentNode.removeChild(panel)
       activeElement.parentNode.removeChild(activeElement)
+      this.dispatch('remove', { tab: activeElement, panel })
       this.open(firstTab)
+      this.announce(this.t('tabRemoved', { label: activeElement.textContent.trim() }))
     }
   }
 }
@@ -150,8 +245,7 @@ class Tabs extends AbstractDomElement {
  *
  * @author Milan Ricoul
  */
-function handleButtonClick(e) {
-  const clickedButton = e.currentTarget
+function handleButtonClick(e, clickedButton) {
   const isSelected = clickedButton.getAttribute('aria-selected') === 'true'
 
   if (!isSelected) {
@@ -160,127 +254,153 @@ function handleButtonClick(e) {
 }
 
 /**
- * Focus the previous tab. If not previous tag, focus the last tab.
+ * Get the tab controlling a panel
  *
- * @returns {void}
+ * @param {HTMLElement} panel
  *
- * @author Milan Ricoul
+ * @returns {HTMLElement|null}
  */
-function focusPreviousTab() {
-  const activeElement = document.activeElement
-
-  if (activeElement && activeElement.parentNode.getAttribute('role') === 'tablist') {
-    const previousButton = activeElement.previousElementSibling || activeElement.parentNode.lastElementChild
+function getTab(panel) {
+  const buttons = this._element.querySelectorAll(this._settings.tabListSelector)
 
-    this._settings.auto ? this.open(previousButton) : previousButton.focus()
-  }
+  return Array.prototype.find.call(buttons, (button) => button.getAttribute('aria-controls') === panel.id) || null
 }
 
 /**
- * Focus the next tab. If not next tab, focus the first tab.
+ * Hide a panel with hidden="until-found" if the hiddenUntilFound option is set and the browser supports it
  *
- * @returns {void}
+ * @param {HTMLElement} panel
  *
- * @author Milan Ricoul
+ * @returns {void}
  */
-function focusNextTab() {
-  const activeElement = document.activeElement
-
-  if (activeElement && activeElement.parentNode.getAttribute('role') === 'tablist') {
-    const nextButton = activeElement.nextElementSibling || activeElement.parentNode.firstElementChild
-
-    this._settings.auto ? this.open(nextButton) : nextButton.focus()
-  }
+function hidePanel(panel) {
+  panel.setAttribute('hidden', this._settings.hiddenUntilFound && supportsHiddenUntilFound() ? 'until-found' : '')
 }
 
 /**
- * Focus the first tab.
+ * Select the tab of the panel revealed by find-in-page, the panel is hidden again if the change is cancelled
  *
- * @returns {void}
+ * @param {Event} e beforematch event
+ * @param {HTMLElement} panel revealed panel
  *
- * @author Milan Ricoul
+ * @returns {void}
  */
-function focusFirstTab() {
-  const firstTab = this._element.querySelectorAll(this._settings.tabListSelector)[0]
+function handleBeforeMatch(e, panel) {
+  const button = getTab.call(this, panel)
 
-  this._settings.auto ? this.open(firstTab) : firstTab.focus()
-}
+  if (!button) {
+    return
+  }
 
-/**
- * Focus the last tab.
- *
- * @returns {void}
- *
- * @author Milan Ricoul
- */
-function focusLastTab() {
-  const tabs = this._element.querySelectorAll(this._settings.tabListSelector)
-  const tabsCount = tabs.length
-  const lastTab = tabs[tabsCount - 1]
+  this.open(button, false)
 
-  this._settings.auto ? this.open(lastTab) : lastTab.focus()
+  // the browser removes the hidden attribute after the event
+  if (button.getAttribute('aria-selected') !== 'true') {
+    window.setTimeout(() => hidePanel.call(this, panel))
+  }
 }
 
 /**
- * Handle tab button focus
+ * Select the tab of the panel containing the element targeted by the URL fragment, then scroll to the element
  *
  * @returns {void}
- *
- * @author Milan Ricoul
  */
-function handleButtonFocus() {
-  this.focus = true
+function handleHashChange() {
+  const target = getFragmentTarget()
+  const panel =
+    target &&
+    Array.prototype.find.call(this._element.querySelectorAll(this._settings.tabPanelSelector), (item) =>
+      item.contains(target)
+    )
+  const button = panel && getTab.call(this, panel)
+
+  if (button && button.getAttribute('aria-selected') !== 'true') {
+    this.open(button, false)
+
+    if (button.getAttribute('aria-selected') === 'true') {
+      target.scrollIntoView()
+    }
+  }
 }
 
 /**
- * Handle tab button blur
+ * Handle the keys pressed on a tab, arrow keys, Home and End are handled by the keyboard navigation
+ *
+ * @param {KeyboardEvent} e Keyboard keydown event
  *
  * @returns {void}
  *
  * @author Milan Ricoul
  */
-function handleButtonBlur() {
-  this.focus = false
+function handleKeydown(e) {
+  if (e.key === 'Delete') {
+    this.removeTab()
+  }
 }
 
 /**
- * Handle keyboard keydown
+ * Select the tab reached with the keyboard if the auto option is set, the tab is focused by the keyboard navigation
  *
- * @param {KeyboardEvent} e Keyboard keydown event
+ * @param {HTMLElement} button
  *
  * @returns {void}
- *
- * @author Milan Ricoul
  */
-function handleKeydown(e) {
-  if (!this.focus) {
-    return
-  }
-
-  switch (e.code) {
-    case 'ArrowLeft':
-      this._focusPreviousTab()
-      break
-    case 'ArrowRight':
-      this._focusNextTab()
-      break
-    case 'Home':
-      this._focusFirstTab()
-      break
-    case 'End':
-      this._focusLastTab()
-      break
-    case 'Delete':
-      this.removeTab()
+function handleMove(button) {
+  if (this._settings.auto) {
+    this.open(button)
   }
 }
 
+Tabs.nameSpace = 'Tabs'
+
+/**
+ * @typedef {Object} TabsOptions
+ * @property {boolean} announce announce the removed tabs to screen readers
+ * @property {boolean} auto select a tab when it is focused with the arrow keys
+ * @property {boolean} debug validate the options and audit the markup
+ * @property {'ltr'|'rtl'|null} direction text direction mirroring the arrow keys, the computed direction if null
+ * @property {boolean} hiddenUntilFound hide the panels with hidden="until-found", find-in-page and links to their
+ * content select their tab
+ * @property {string|null} locale locale of the messages
+ * @property {Object<string, string>} messages messages overriding the catalog
+ * @property {((this: Tabs) => void)|null} onTabChange
+ * @property {import('./AbstractDomElement.js').Plugin[]} plugins plugins of the instance, added to the registered plugins
+ * @property {string|null} preset name of a preset defined with definePreset()
+ * @property {string} tabListSelector
+ * @property {string} tabPanelSelector
+ */
+
+/** @type {TabsOptions} */
 Tabs.defaults = {
+  announce: true,
   auto: false,
+  debug: false,
+  direction: null,
+  hiddenUntilFound: false,
+  locale: null,
+  messages: {},
   onTabChange: () => {},
+  plugins: [],
+  preset: null,
   tabListSelector: 'button[role="tab"]',
   tabPanelSelector: 'div[role="tabpanel"]',
 }
 
+/** @type {Object<string, string>} */
+Tabs.schema = {
+  announce: 'boolean',
+  auto: 'boolean',
+  debug: 'boolean',
+  direction: 'string|null',
+  hiddenUntilFound: 'boolean',
+  locale: 'string|null',
+  messages: 'object',
+  onTabChange: 'function|null',
+  plugins: 'object',
+  preset: 'string|null',
+  tabListSelector: 'selector',
+  tabPanelSelector: 'selector',
+}
+
 // loop on each preset
 export default Tabs
@@ -79,4 +79,107 @@ test.describe('Tabs', () => {
 
     expect(await page.$('#tab-panel-3') === null).toEqual(true)
   })
+
+  test('Click on a tab, expect a "be-a11y:change" event is dispatched with the selected tab.', async ({ page }) => {
+    const changedTabId = await page.evaluate(() => {
+      let tabId = null
+
+      document.addEventListener('be-a11y:change', (e) => {
+        tabId = e.detail.tab.id
+      })
+      document.getElementById('tab-2').click()
+
+      return tabId
+    })
+
+    expect(changedTabId).toBe('tab-2')
+  })
+
+  test('Prevent the "be-a11y:beforechange" event, expect the tab is not selected after a click.', async ({ page }) => {
+    await page.evaluate(() => {
+      document.getElementById('tab-demo-1').addEventListener('be-a11y:beforechange', (e) => e.preventDefault())
+    })
+    await page.click('button#tab-2')
+
+    expect(await page.locator('button#tab-2').getAttribute('aria-selected')).toBe('false')
+  })
+
+  test('Destroy the tabs, expect no listener is left and a click does not select a tab.', async ({ page }) => {
+    const registry = await page.evaluate(() => {
+      const tabs = document.getElementById('tab-demo-1').beapi.Tabs
+
+      tabs.destroy()
+
+      const { delegatedListeners, listeners, teardowns } = tabs.getRegistry()
+
+      return { delegatedListeners: delegatedListeners.length, listeners: listeners.length, teardowns: teardowns.length }
+    })
+
+    expect(registry).toEqual({ delegatedListeners: 0, listeners: 0, teardowns: 0 })
+
+    await page.click('button#tab-2')
+
+    expect(await page.locator('button#tab-2').getAttribute('aria-selected')).toBe('false')
+    expect(await page.locator('#tab-panel-2').getAttribute('hidden')).toBe('')
+  })
+
+  test('Restore the state of the tabs, expect the tab is selected without moving the focus.', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const tabs = document.getElementById('tab-demo-1').beapi.Tabs
+
+      tabs.setState({ selected: 1 })
+
+      return { state: tabs.getState(), activeElementId: document.activeElement.id }
+    })
+
+    expect(result.state).toEqual({ selected: 1 })
+    expect(result.activeElementId).not.toBe('tab-2')
+    await expect(page.locator('#tab-panel-2')).not.toHaveAttribute('hidden')
+  })
+
+  test('Disable the third tab, expect ArrowRight moves the focus from the second tab to the fourth tab.', async ({
+    page,
+  }) => {
+    await page.locator('button#tab-3').evaluate((tab) => tab.setAttribute('aria-disabled', 'true'))
+    await page.focus('button#tab-2')
+    await page.keyboard.press('ArrowRight')
+
+    await expect(page.locator('button#tab-4')).toBeFocused()
+  })
+
+  test('Remove a deletable tab, expect the removed tab is announced.', async ({ page }) => {
+    await page.focus('button#tab-3[data-deletable]')
+    await page.keyboard.press('Delete')
+
+    await expect(page.locator('[data-be-a11y-announcer="polite"]')).toHaveText('Tab 3 removed')
+  })
+
+  test('Set the page direction to right-to-left, expect ArrowLeft moves the focus to the next tab.', async ({
+    page,
+  }) => {
+    await page.evaluate(() => (document.documentElement.dir = 'rtl'))
+    await page.focus('button#tab-2')
+    await page.keyboard.press('ArrowLeft')
+
+    await expect(page.locator('button#tab-3')).toBeFocused()
+  })
+
+  test('Dispatch "beforematch" on a panel hidden until found, expect its tab is selected.', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const element = document.getElementById('tab-demo-1')
+      const Tabs = element.beapi.Tabs.constructor
+
+      element.beapi.Tabs.destroy()
+      new Tabs(element, { hiddenUntilFound: true })
+
+      const panel = document.getElementById('tab-panel-2')
+      const hidden = panel.getAttribute('hidden')
+
+      panel.dispatchEvent(new Event('beforematch', { bubbles: true }))
+
+      return { hidden, selected: document.getElementById('tab-2').getAttribute('aria-selected') }
+    })
+
+    expect(result).toEqual({ hidden: 'until-found', selected: 'true' })
+  })
 })
@@ -1,9 +1,11 @@
 import { disableBodyScroll, enableBodyScroll } from 'body-scroll-lock'
 
 import AbstractDomElement from './AbstractDomElement.js'
+import Breakpoints from '../utils/Breakpoints.js'
 import DOMAnimations from '../utils/DOMAnimations.js'
-import { ThrottledEvent } from 'oneloop.js'
-import { randomId } from '../utils/helpers.js'
+import FocusTrap from '../utils/FocusTrap.js'
+import { auditButton } from '../utils/diagnostics.js'
+import { claimId, getFragmentTarget, supportsHiddenUntilFound } from '../utils/helpers.js'
 
 /**
  * Toggle Class
@@ -11,6 +13,10 @@ import { randomId } from '../utils/helpers.js'
  * @author Milan Ricoul
  */
 class Toggle extends AbstractDomElement {
+  /**
+   * @param {HTMLElement} element
+   * @param {Partial<ToggleOptions>} [options]
+   */
   constructor(element, options) {
     var instance = super(element, options)
 
@@ -19,20 +25,36 @@ class Toggle extends AbstractDomElement {
       return instance
     }
 
+    // mediaQuery option accepts a MediaQueryList, a media query string or a breakpoint name
+    this._settings.mediaQuery = Breakpoints.get(this._settings.mediaQuery)
+
+    /** @type {HTMLElement|null} */
     this.target = this._settings.target
       ? this._element.parentNode.querySelector(this._settings.target)
       : document.getElementById(this._element.getAttribute('aria-controls'))
 
-    this._onResizeHandler = onResize.bind(this)
+    // the button stays in the trap so the target can be closed from the keyboard
+    this._focusTrap = this.target ? new FocusTrap([this._element, this.target], { returnFocus: false }) : null
+
+    this._onBreakpointChange = onBreakpointChange.bind(this)
     this._handleClick = handleClick.bind(this)
     this._handleBlur = handleBlur.bind(this)
+    this._handleKeydown = handleKeydown.bind(this)
+    this._handleBeforeMatch = handleBeforeMatch.bind(this)
+    this._handleHashChange = handleHashChange.bind(this)
+    this._onClick = this._settings.onClick ? this._settings.onClick.bind(this) : null
     this.enableBodyScroll = this.enableBodyScroll.bind(this)
     this.disableBodyScroll = this.disableBodyScroll.bind(this)
 
     this.initialized = false
 
-    new ThrottledEvent(window, 'resize').add('resize', this._onResizeHandler)
-    this._onResizeHandler()
+    if (this._settings.mediaQuery) {
+      Breakpoints.subscribe(this._settings.mediaQuery, this._onBreakpointChange)
+      this.addTeardown(() => Breakpoints.unsubscribe(this._settings.mediaQuery, this._onBreakpointChange))
+    }
+
+    this._onBreakpointChange()
+    this.initPlugins()
   }
 
   /**
@@ -44,16 +66,19 @@ class Toggle extends AbstractDomElement {
    */
   init() {
     const el = this._element
-    const { closeOnBlur, closeOnEscPress, isOpened, onClick, prefixId } = this._settings
+    const { closeOnBlur, closeOnEscPress, hiddenUntilFound, isOpened, onClick, prefixId } = this._settings
 
     this.initialized = true
 
+    this.saveAttributes(el, ['aria-expanded', 'aria-controls'])
+    this.saveAttributes(this.target, ['id', 'aria-hidden', 'hidden', 'style'])
+
     el.setAttribute('aria-expanded', 'false')
 
     if (this.target) {
-      el.addEventListener('click', this._handleClick)
+      this.addListener(el, 'click', this._handleClick)
     } else if (!this.target && onClick) {
-      el.addEventListener('click', onClick)
+      this.addListener(el, 'click', onClick)
 
       return false
     } else {
@@ -61,70 +86,119 @@ class Toggle extends AbstractDomElement {
     }
 
     if (onClick) {
-      el.addEventListener('click', onClick.bind(this))
+      this.addListener(el, 'click', this._onClick)
     }
 
     if (!el.getAttribute('aria-controls')) {
-      const id = `${prefixId}-${randomId()}`
+      const id = claimId(this.target, prefixId)
       el.setAttribute('aria-controls', id)
       this.target.id = id
     }
 
     if (closeOnBlur) {
-      el.addEventListener('blur', this._handleBlur)
+      this.addListener(el, 'blur', this._handleBlur)
     }
 
     if (closeOnEscPress) {
-      window.addEventListener('keydown', function (e) {
-        if (e.defaultPrevented) {
-          return
-        }
-
-        const key = e.key || e.keyCode
-
-        if (
-          (key === 'Escape' || key === 'Esc' || key === 27) &&
-          document.getElementById(el.getAttribute('aria-controls')).getAttribute('aria-hidden') !== 'true'
-        ) {
-          el.click()
-        }
-      })
+      this.delegate('keydown', null, this._handleKeydown)
     }
 
     if (!this.target.hasAttribute('aria-hidden')) {
       this.target.setAttribute('aria-hidden', isOpened ? 'false' : 'true')
     }
 
+    if (hiddenUntilFound) {
+      // find-in-page reveals the target hidden with hidden="until-found"
+      if (!isOpened) {
+        hideTarget.call(this)
+      }
+
+      this.addListener(this.target, 'beforematch', this._handleBeforeMatch)
+      this.addListener(window, 'hashchange', this._handleHashChange)
+    }
+
     if (isOpened) {
       this.open()
     }
 
+    if (hiddenUntilFound) {
+      this._handleHashChange()
+    }
+
     return true
   }
 
   /**
-   * Destroy events
+   * Get the state of the toggle target
+   *
+   * @returns {{open: boolean}}
+   */
+  getState() {
+    return {
+      open: this._element.getAttribute('aria-expanded') === 'true',
+    }
+  }
+
+  /**
+   * Open or close the toggle target
+   *
+   * @param {Object} state
+   * @param {boolean} state.open
    *
    * @returns {void}
+   */
+  applyState({ open }) {
+    if (!this.initialized || !this.target || typeof open !== 'boolean' || open === this.getState().open) {
+      return
+    }
+
+    open ? this.open() : this.close()
+  }
+
+  /**
+   * Check the button and its target
+   *
+   * @returns {import('./AbstractDomElement.js').AuditIssue[]}
+   */
+  audit() {
+    const { target } = this._settings
+    const issues = super.audit().concat(auditButton(this._element, 'toggle button'))
+
+    if (!this.target) {
+      issues.push({
+        message: target
+          ? `no target matches the target option "${target}" in the parent of the button`
+          : 'the button does not control an existing element with aria-controls',
+        element: this._element,
+      })
+    }
+
+    return issues
+  }
+
+  /**
+   * Destroy events and restore the markup
+   *
+   * @returns {Toggle}
    *
    * @author Milan Ricoul
    */
   destroy() {
-    const el = this._element
-    const { onClick } = this._settings
-    this.initialized = false
+    if (this.initialized && this.target && this._settings.bodyScrollLock) {
+      this.enableBodyScroll()
+    }
 
-    this.reset()
-    el.removeAttribute('aria-expanded')
+    if (this._focusTrap) {
+      this._focusTrap.deactivate()
+    }
 
-    if (onClick) {
-      el.removeEventListener('click', onClick)
-    } else {
-      el.removeEventListener('click', this._handleClick)
-      el.removeEventListener('blur', this._handleBlur)
+    if (this.target) {
+      DOMAnimations.cancel(this.target)
     }
 
-    super.destroy()
+    this.initialized = false
+
+    return super.destroy()
   }
 
   /**
@@ -136,18 +210,37 @@ class Toggle extends AbstractDomElement {
    */
   open() {
     const el = this._element
-    const { bodyScrollLock, hasAnimation } = this._settings
+    const { bodyScrollLock, hasAnimation, trapFocus } = this._settings
+
+    if (!this.dispatch('beforeopen', { target: this.target })) {
+      return
+    }
 
     this.target.setAttribute('aria-hidden', 'false')
     el.setAttribute('aria-expanded', 'true')
 
+    if (this._settings.hiddenUntilFound && this.target.hasAttribute('hidden')) {
+      this.target.removeAttribute('hidden')
+
+      // the animation starts from the hidden target
+      if (hasAnimation) {
+        this.target.style.display = 'none'
+      }
+    }
+
     if (hasAnimation) {
-      DOMAnimations.slideDown(this.target)
+      DOMAnimations.show(this.target, getAnimationOptions.call(this))
     }
 
     if (bodyScrollLock) {
       this.disableBodyScroll()
     }
+
+    if (trapFocus) {
+      this._focusTrap.activate()
+    }
+
+    this.dispatch('open', { target: this.target })
   }
 
   /**
@@ -161,16 +254,34 @@ class Toggle extends AbstractDomElement {
     const el = this._element
     const { bodyScrollLock } = this._settings
 
+    if (!this.dispatch('beforeclose', { target: this.target })) {
+      return
+    }
+
     this.target.setAttribute('aria-hidden', 'true')
     el.setAttribute('aria-expanded', 'false')
+    this._focusTrap.deactivate()
+
+    // the focus would be lost in the hidden target
+    if (this.target.contains(document.activeElement)) {
+      el.focus()
+    }
 
     if (this._settings.hasAnimation) {
-      DOMAnimations.slideUp(this.target)
+      DOMAnimations.hide(this.target, getAnimationOptions.call(this)).then((hidden) => {
+        if (hidden) {
+          hideTarget.call(this)
+        }
+      })
+    } else {
+      hideTarget.call(this)
     }
 
     if (bodyScrollLock) {
       enableBodyScroll(this.target)
     }
+
+    this.dispatch('close', { target: this.target })
   }
 
   /**
@@ -187,9 +298,15 @@ class Toggle extends AbstractDomElement {
     this.target.removeAttribute('aria-expanded')
     el.removeAttribute('aria-expanded')
 
+    if (this._settings.hiddenUntilFound) {
+      this.target.removeAttribute('hidden')
+    }
+
     if (this._settings.hasAnimation) {
-      DOMAnimations.slideDown(this.target, 500, () => {
-        this.target.removeAttribute('style')
+      DOMAnimations.show(this.target, getAnimationOptions.call(this)).then((shown) => {
+        if (shown) {
+          this.target.removeAttribute('style')
+        }
       })
     }
   }
@@ -204,7 +321,7 @@ class Toggle extends AbstractDomElement {
   disableBodyScroll() {
     const { bodyScrollLockMediaQuery } = this._settings
 
-    if (bodyScrollLockMediaQuery && window.matchMedia(bodyScrollLockMediaQuery).matches) {
+    if (bodyScrollLockMediaQuery && Breakpoints.get(bodyScrollLockMediaQuery).matches) {
       disableBodyScroll(this.target)
     } else if (!bodyScrollLockMediaQuery) {
       disableBodyScroll(this.target)
@@ -246,6 +363,108 @@ function handleClick(e) {
   }
 }
 
+/**
+ * Close the target on Escape key press
+ *
+ * @param {KeyboardEvent} e keyboard event handler
+ *
+ * @returns {void}
+ */
+function handleKeydown(e) {
+  if (e.defaultPrevented) {
+    return
+  }
+
+  const key = e.key || e.keyCode
+
+  if ((key === 'Escape' || key === 'Esc' || key === 27) && this.target.getAttribute('aria-hidden') !== 'true') {
+    this._element.click()
+  }
+}
+
+/**
+ * Hide the target with hidden="until-found" if the hiddenUntilFound option is set and the browser supports it, the
+ * target is hidden by the styles of the aria-hidden attribute otherwise
+ *
+ * @returns {void}
+ */
+function hideTarget() {
+  if (this._settings.hiddenUntilFound && supportsHiddenUntilFound()) {
+    this.target.style.removeProperty('display')
+    this.target.setAttribute('hidden', 'until-found')
+  }
+}
+
+/**
+ * Open the target revealed by find-in-page, the target is hidden again if the change is cancelled
+ *
+ * @returns {void}
+ */
+function handleBeforeMatch() {
+  if (this._element.getAttribute('aria-expanded') !== 'true') {
+    this.open()
+  }
+
+  // the browser removes the hidden attribute after the event
+  if (this._element.getAttribute('aria-expanded') !== 'true') {
+    window.setTimeout(() => hideTarget.call(this))
+  }
+}
+
+/**
+ * Open the target if it contains the element targeted by the URL fragment, then scroll to the element
+ *
+ * @returns {void}
+ */
+function handleHashChange() {
+  const target = getFragmentTarget()
+
+  if (!target || !this.target.contains(target) || this._element.getAttribute('aria-expanded') === 'true') {
+    return
+  }
+
+  this.open()
+
+  if (this._element.getAttribute('aria-expanded') === 'true') {
+    target.scrollIntoView()
+  }
+}
+
+/**
+ * Get the options of the target animations
+ *
+ * @returns {import('../utils/DOMAnimations.js').AnimationOptions}
+ */
+function getAnimationOptions() {
+  const { animationDuration, animationEasing, animationPreset } = this._settings
+
+  return { duration: animationDuration, easing: animationEasing, preset: animationPreset }
+}
+
+/**
+ * Remove ARIA attributes and events when the media query does not match
+ *
+ * @returns {void}
+ */
+function deactivate() {
+  const el = this._element
+
+  this.initialized = false
+
+  el.removeAttribute('aria-expanded')
+
+  if (this.target) {
+    this._focusTrap.deactivate()
+    this.reset()
+
+    if (this._settings.bodyScrollLock) {
+      this.enableBodyScroll()
+    }
+  }
+
+  this.removeListeners()
+}
+
 /**
  * Handle button FocusEvent
  *
@@ -261,13 +480,13 @@ function handleBlur() {
 }
 
 /**
- * Events
+ * Handle media query change
  *
  * @returns {void}
  *
  * @author Milan Ricoul
  */
-function onResize() {
+function onBreakpointChange() {
   const { mediaQuery } = this._settings
 
   if (!mediaQuery && !this.initialized) {
@@ -275,7 +494,7 @@ function onResize() {
   }
 
   if (mediaQuery && this.initialized && !mediaQuery.matches) {
-    this.destroy()
+    deactivate.call(this)
   } else if (mediaQuery && !this.initialized && mediaQuery.matches) {
     this.init()
   } else if (
@@ -289,17 +508,73 @@ function onResize() {
   }
 }
 
+Toggle.nameSpace = 'Toggle'
+
+/**
+ * @typedef {Object} ToggleOptions
+ * @property {number} animationDuration duration of the target animations in milliseconds
+ * @property {string} animationEasing CSS easing function of the target animations
+ * @property {string} animationPreset animation preset: slide, fade or slide-fade
+ * @property {boolean} bodyScrollLock lock the body scroll when the target is open
+ * @property {MediaQueryList|string|false} bodyScrollLockMediaQuery lock the body scroll only when it matches
+ * @property {boolean} closeOnBlur
+ * @property {boolean} closeOnEscPress
+ * @property {boolean} debug validate the options and audit the markup
+ * @property {boolean} hasAnimation animate the target when it is opened and closed
+ * @property {boolean} hiddenUntilFound hide the closed target with hidden="until-found", find-in-page and links to its
+ * content open it
+ * @property {boolean} isOpened open the target on initialization
+ * @property {MediaQueryList|string|null} mediaQuery media query, breakpoint name or MediaQueryList
+ * @property {((this: Toggle, e: MouseEvent) => void)|null} onClick
+ * @property {import('./AbstractDomElement.js').Plugin[]} plugins plugins of the instance, added to the registered plugins
+ * @property {string} prefixId prefix of the generated ids
+ * @property {string|null} preset name of a preset defined with definePreset()
+ * @property {string|null} target target selector in the parent of the button, aria-controls by default
+ * @property {boolean} trapFocus keep the focus in the button and the target while the target is open
+ */
+
+/** @type {ToggleOptions} */
 Toggle.defaults = {
+  animationDuration: 500,
+  animationEasing: 'ease',
+  animationPreset: 'slide',
   bodyScrollLock: false,
   bodyScrollLockMediaQuery: false,
   closeOnBlur: false,
   closeOnEscPress: false,
+  debug: false,
   hasAnimation: false,
+  hiddenUntilFound: false,
   isOpened: false,
   mediaQuery: null,
   onClick: null,
+  plugins: [],
   prefixId: 'toggle',
+  preset: null,
   target: null,
+  trapFocus: false,
+}
+
+/** @type {Object<string, string>} */
+Toggle.schema = {
+  animationDuration: 'number',
+  animationEasing: 'string',
+  animationPreset: 'string',
+  bodyScrollLock: 'boolean',
+  bodyScrollLockMediaQuery: 'mediaQuery|boolean',
+  closeOnBlur: 'boolean',
+  closeOnEscPress: 'boolean',
+  debug: 'boolean',
+  hasAnimation: 'boolean',
+  hiddenUntilFound: 'boolean',
+  isOpened: 'boolean',
+  mediaQuery: 'mediaQuery|null',
+  onClick: 'function|null',
+  plugins: 'object',
+  prefixId: 'string',
+  preset: 'string|null',
+  target: 'selector|null',
+  trapFocus: 'boolean',
 }
 
 export default Toggle
@@ -52,4 +52,47 @@ test.describe('Toggle', () => {
 
     expect(display).toBe('none')
   })
+
+  test('Open a menu trapping the focus and press "Tab" key after the last link, expect the toggle button is focused.', async ({
+    page,
+  }) => {
+    await page.click('button[aria-controls="toggle-6"]')
+    await page.focus('#toggle-6 a[href="#contact"]')
+    await page.keyboard.press('Tab')
+
+    await expect(page.locator('button[aria-controls="toggle-6"]')).toBeFocused()
+  })
+
+  test('Close a menu with the "Escape" key while a link is focused, expect the focus goes back to the toggle button.', async ({
+    page,
+  }) => {
+    await page.click('button[aria-controls="toggle-6"]')
+    await page.focus('#toggle-6 a[href="#home"]')
+    await page.keyboard.press('Escape')
+
+    await expect(page.locator('#toggle-6')).toHaveAttribute('aria-hidden', 'true')
+    await expect(page.locator('button[aria-controls="toggle-6"]')).toBeFocused()
+  })
+
+  test('Dispatch "beforematch" on a target hidden until found, expect the target is opened.', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { Toggle } = await import('/be-a11y.js')
+      const button = document.createElement('button')
+      const target = document.createElement('div')
+
+      button.setAttribute('aria-controls', 'toggle-until-found')
+      target.id = 'toggle-until-found'
+      target.textContent = 'Content'
+      document.body.append(button, target)
+      new Toggle(button, { hiddenUntilFound: true })
+
+      const hidden = target.getAttribute('hidden')
+
+      target.dispatchEvent(new Event('beforematch', { bubbles: true }))
+
+      return { hidden, expanded: button.getAttribute('aria-expanded'), ariaHidden: target.getAttribute('aria-hidden') }
+    })
+
+    expect(result).toEqual({ hidden: 'until-found', expanded: 'true', ariaHidden: 'false' })
+  })
 })
@@ -0,0 +1,20 @@
+export default {
+  accordion: {
+    collapsed: '{label} eingeklappt',
+    expanded: '{label} ausgeklappt',
+  },
+  dropdown: {
+    itemSelected: '{item} ausgewählt',
+    nonSelectedItem: 'Kein Element ausgewählt',
+  },
+  slider: {
+    announcement: 'Folie {current} von {total}',
+    counter: '{current} / {total}',
+    dotLabel: 'Folie {index} von {total}',
+    roleDescription: 'Karussell',
+    slideRoleDescription: 'Folie',
+  },
+  tabs: {
+    tabRemoved: '{label} entfernt',
+  },
+}
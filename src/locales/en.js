@@ -0,0 +1,20 @@
+export default {
+  accordion: {
+    collapsed: '{label} collapsed',
+    expanded: '{label} expanded',
+  },
+  dropdown: {
+    itemSelected: '{item} selected',
+    nonSelectedItem: 'No item selected',
+  },
+  slider: {
+    announcement: 'Slide {current} of {total}',
+    counter: '{current} / {total}',
+    dotLabel: 'Slide {index} of {total}',
+    roleDescription: 'carousel',
+    slideRoleDescription: 'slide',
+  },
+  tabs: {
+    tabRemoved: '{label} removed',
+  },
+}
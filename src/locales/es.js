@@ -0,0 +1,20 @@
+export default {
+  accordion: {
+    collapsed: '{label} contraído',
+    expanded: '{label} expandido',
+  },
+  dropdown: {
+    itemSelected: '{item} seleccionado',
+    nonSelectedItem: 'Ningún elemento seleccionado',
+  },
+  slider: {
+    announcement: 'Diapositiva {current} de {total}',
+    counter: '{current} / {total}',
+    dotLabel: 'Diapositiva {index} de {total}',
+    roleDescription: 'carrusel',
+    slideRoleDescription: 'diapositiva',
+  },
+  tabs: {
+    tabRemoved: '{label} eliminado',
+  },
+}
@@ -0,0 +1,20 @@
+export default {
+  accordion: {
+    collapsed: '{label} replié',
+    expanded: '{label} déplié',
+  },
+  dropdown: {
+    itemSelected: '{item} sélectionné',
+    nonSelectedItem: 'Aucun élément sélectionné',
+  },
+  slider: {
+    announcement: 'Diapositive {current} sur {total}',
+    counter: '{current} / {total}',
+    dotLabel: 'Diapositive {index} sur {total}',
+    roleDescription: 'carrousel',
+    slideRoleDescription: 'diapositive',
+  },
+  tabs: {
+    tabRemoved: '{label} supprimé',
+  },
+}
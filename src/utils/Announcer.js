@@ -0,0 +1,149 @@
+// delay between two announcements, screen readers miss live region changes made too quickly
+const ANNOUNCE_DELAY = 150
+const POLITENESS = ['polite', 'assertive']
+// visually hidden, still read by screen readers
+const REGION_STYLE =
+  'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0'
+
+const regions = {}
+const queues = { polite: [], assertive: [] }
+let timeout = null
+
+/**
+ * Announce messages to screen readers with a polite and an assertive live region shared by every component. A live
+ * region is created on its first announcement, messages are queued and a message already waiting is not queued again.
+ */
+class Announcer {
+  /**
+   * Queue a message
+   *
+   * @example Announcer.announce('3 results', { politeness: 'assertive' })
+   *
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {'polite'|'assertive'} [options.politeness] assertive messages interrupt the screen reader
+   *
+   * @returns {typeof Announcer}
+   */
+  static announce(message, { politeness = 'polite' } = {}) {
+    const name = POLITENESS.indexOf(politeness) !== -1 ? politeness : 'polite'
+
+    if (!message || typeof document === 'undefined') {
+      return this
+    }
+
+    // the live region is in the document before its content changes
+    getRegion(name)
+
+    if (queues[name].indexOf(message) === -1) {
+      queues[name].push(message)
+    }
+
+    if (timeout === null) {
+      timeout = setTimeout(flush, ANNOUNCE_DELAY)
+    }
+
+    return this
+  }
+
+  /**
+   * Remove the queued messages and empty the live regions
+   *
+   * @returns {typeof Announcer}
+   */
+  static clear() {
+    clearTimeout(timeout)
+    timeout = null
+
+    POLITENESS.forEach((politeness) => {
+      queues[politeness].splice(0)
+
+      if (regions[politeness]) {
+        regions[politeness].textContent = ''
+      }
+    })
+
+    return this
+  }
+
+  /**
+   * Remove the queued messages and the live regions
+   *
+   * @returns {typeof Announcer}
+   */
+  static destroy() {
+    this.clear()
+
+    POLITENESS.forEach((politeness) => {
+      if (regions[politeness]) {
+        regions[politeness].remove()
+        delete regions[politeness]
+      }
+    })
+
+    return this
+  }
+}
+
+// ----
+// private
+// ----
+
+/**
+ * Announce the first queued message of each live region, the next messages are announced after a delay
+ *
+ * @returns {void}
+ */
+function flush() {
+  timeout = null
+
+  POLITENESS.forEach((politeness) => {
+    if (queues[politeness].length > 0) {
+      const region = getRegion(politeness)
+      const message = queues[politeness].shift()
+
+      // a change of the content is needed to announce the same message again
+      region.textContent = region.textContent === message ? `${message}\u00a0` : message
+    }
+  })
+
+  if (queues.polite.length > 0 || queues.assertive.length > 0) {
+    timeout = setTimeout(flush, ANNOUNCE_DELAY)
+  }
+}
+
+/**
+ * Get a live region, created in the body if it does not exist
+ *
+ * @param {string} politeness
+ *
+ * @returns {HTMLElement}
+ */
+function getRegion(politeness) {
+  if (!regions[politeness] || !regions[politeness].isConnected) {
+    regions[politeness] = document.querySelector(`[data-be-a11y-announcer="${politeness}"]`) || createRegion(politeness)
+  }
+
+  return regions[politeness]
+}
+
+/**
+ * Create a visually hidden live region at the end of the body
+ *
+ * @param {string} politeness
+ *
+ * @returns {HTMLElement}
+ */
+function createRegion(politeness) {
+  const region = document.createElement('div')
+
+  region.setAttribute('aria-live', politeness)
+  region.setAttribute('aria-atomic', 'true')
+  region.setAttribute('data-be-a11y-announcer', politeness)
+  region.setAttribute('style', REGION_STYLE)
+  document.body.appendChild(region)
+
+  return region
+}
+
+export default Announcer
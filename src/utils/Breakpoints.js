@@ -0,0 +1,140 @@
+const names = {}
+const mediaQueryLists = {}
+const subscribers = new Map()
+
+/**
+ * Shared breakpoint service, every component watching the same media query shares a single MediaQueryList and a
+ * single change listener.
+ */
+class Breakpoints {
+  /**
+   * Define named breakpoints
+   *
+   * @example Breakpoints.define({ md: '(min-width: 48em)', landscape: '(orientation: landscape)' })
+   *
+   * @param {Object|string} name breakpoint name or object of name / query pairs
+   * @param {string} query media query, if name is a string
+   *
+   * @returns {typeof Breakpoints}
+   */
+  static define(name, query) {
+    if (typeof name === 'string') {
+      names[name] = query
+    } else {
+      Object.keys(name).forEach((key) => {
+        names[key] = name[key]
+      })
+    }
+
+    return this
+  }
+
+  /**
+   * Get a MediaQueryList
+   *
+   * @param {MediaQueryList|string|null} mediaQuery MediaQueryList, media query string or breakpoint name
+   *
+   * @returns {MediaQueryList|null}
+   */
+  static get(mediaQuery) {
+    if (!mediaQuery) {
+      return null
+    }
+
+    if (typeof mediaQuery !== 'string') {
+      return mediaQuery
+    }
+
+    const query = names[mediaQuery] || mediaQuery
+
+    if (!mediaQueryLists[query]) {
+      mediaQueryLists[query] = window.matchMedia(query)
+    }
+
+    return mediaQueryLists[query]
+  }
+
+  /**
+   * Call a function each time a media query starts or stops matching
+   *
+   * @param {MediaQueryList|string} mediaQuery MediaQueryList, media query string or breakpoint name
+   * @param {Function} callback function called with the MediaQueryList
+   *
+   * @returns {MediaQueryList}
+   */
+  static subscribe(mediaQuery, callback) {
+    const mediaQueryList = this.get(mediaQuery)
+
+    if (!subscribers.has(mediaQueryList)) {
+      const callbacks = []
+      const handler = () => callbacks.slice().forEach((fn) => fn(mediaQueryList))
+
+      subscribers.set(mediaQueryList, { callbacks, handler })
+      addChangeListener(mediaQueryList, handler)
+    }
+
+    subscribers.get(mediaQueryList).callbacks.push(callback)
+
+    return mediaQueryList
+  }
+
+  /**
+   * Remove a function added with subscribe()
+   *
+   * @param {MediaQueryList|string} mediaQuery MediaQueryList, media query string or breakpoint name
+   * @param {Function} callback
+   *
+   * @returns {typeof Breakpoints}
+   */
+  static unsubscribe(mediaQuery, callback) {
+    const mediaQueryList = this.get(mediaQuery)
+    const subscriber = subscribers.get(mediaQueryList)
+
+    if (!subscriber) {
+      return this
+    }
+
+    const index = subscriber.callbacks.indexOf(callback)
+
+    if (index !== -1) {
+      subscriber.callbacks.splice(index, 1)
+    }
+
+    if (subscriber.callbacks.length === 0) {
+      removeChangeListener(mediaQueryList, subscriber.handler)
+      subscribers.delete(mediaQueryList)
+    }
+
+    return this
+  }
+}
+
+// ----
+// utils
+// ----
+
+/**
+ * Add a change listener, with a fallback for browsers without EventTarget support on MediaQueryList
+ *
+ * @param {MediaQueryList} mediaQueryList
+ * @param {Function} handler
+ */
+function addChangeListener(mediaQueryList, handler) {
+  mediaQueryList.addEventListener
+    ? mediaQueryList.addEventListener('change', handler)
+    : mediaQueryList.addListener(handler)
+}
+
+/**
+ * Remove a change listener
+ *
+ * @param {MediaQueryList} mediaQueryList
+ * @param {Function} handler
+ */
+function removeChangeListener(mediaQueryList, handler) {
+  mediaQueryList.removeEventListener
+    ? mediaQueryList.removeEventListener('change', handler)
+    : mediaQueryList.removeListener(handler)
+}
+
+export default Breakpoints
@@ -1,98 +1,284 @@
+import Breakpoints from './Breakpoints.js'
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)'
+const SLIDE_PROPERTIES = ['height', 'paddingTop', 'paddingBottom', 'marginTop', 'marginBottom']
+
+// running animations indexed by element, an element has a single animation at a time
+const animations = new WeakMap()
+
+/**
+ * @typedef {Object} AnimationOptions
+ * @property {number} duration duration in milliseconds, 0 shows or hides the element without animation
+ * @property {string} easing CSS easing function
+ * @property {string} preset name of a preset of DOMAnimations.presets: slide, fade or slide-fade
+ */
+
+/**
+ * Show and hide elements with the Web Animations API. Starting an animation on an element cancels its running
+ * animation and starts from the current frame, so toggling an element during an animation reverses it. Elements are
+ * shown and hidden without animation if the user prefers reduced motion.
+ */
 class DOMAnimations {
   /**
-   * Hide an element with a jQuery slide effect
+   * Show an element hidden with display: none
+   *
+   * @param {HTMLElement} element
+   * @param {Partial<AnimationOptions>|number} [options] options or duration
+   *
+   * @returns {Promise<boolean>} true once the element is shown, false if the animation is cancelled or reversed
+   */
+  static show(element, options) {
+    return animate(element, true, options)
+  }
+
+  /**
+   * Hide an element with display: none
+   *
+   * @param {HTMLElement} element
+   * @param {Partial<AnimationOptions>|number} [options] options or duration
+   *
+   * @returns {Promise<boolean>} true once the element is hidden, false if the animation is cancelled or reversed
+   */
+  static hide(element, options) {
+    return animate(element, false, options)
+  }
+
+  /**
+   * Show a hidden element or hide a visible element, an element being hidden is shown again
+   *
    * @param {HTMLElement} element
-   * @param {Number} duration
-   * @param {Function} callback
+   * @param {Partial<AnimationOptions>|number} [options] options or duration
+   *
    * @returns {Promise<boolean>}
    */
-  static slideUp(element, duration = 500, callback = () => false) {
-    return new Promise((resolve) => {
-      element.style.height = `${element.offsetHeight}px`
-      element.style.transitionProperty = `height, margin, padding`
-      element.style.transitionDuration = `${duration}ms`
-      element.offsetHeight // eslint-disable-line no-unused-expressions
-      element.style.overflow = 'hidden'
-      element.style.height = 0
-      element.style.paddingTop = 0
-      element.style.paddingBottom = 0
-      element.style.marginTop = 0
-      element.style.marginBottom = 0
-      window.setTimeout(() => {
-        element.style.display = 'none'
-        element.style.removeProperty('height')
-        element.style.removeProperty('padding-top')
-        element.style.removeProperty('padding-bottom')
-        element.style.removeProperty('margin-top')
-        element.style.removeProperty('margin-bottom')
-        element.style.removeProperty('overflow')
-        element.style.removeProperty('transition-duration')
-        element.style.removeProperty('transition-property')
-        resolve(false)
-
-        if (callback) {
-          callback()
-        }
-      }, duration)
-    })
+  static toggle(element, options) {
+    return this.isVisible(element) ? this.hide(element, options) : this.show(element, options)
   }
 
   /**
-   * Show an element with a jQuery slide effect
+   * Stop the running animation of an element, its promise is resolved with false
+   *
    * @param {HTMLElement} element
-   * @param {Number} duration
-   * @param {Function} callback
+   *
+   * @returns {typeof DOMAnimations}
+   */
+  static cancel(element) {
+    const running = animations.get(element)
+
+    if (running) {
+      animations.delete(element)
+      running.animation.cancel()
+    }
+
+    return this
+  }
+
+  /**
+   * Check if an element is visible or being shown
+   *
+   * @param {HTMLElement} element
+   *
+   * @returns {boolean}
+   */
+  static isVisible(element) {
+    const running = animations.get(element)
+
+    return running ? running.visible : window.getComputedStyle(element).display !== 'none'
+  }
+
+  /**
+   * Hide an element with a slide effect
+   *
+   * @param {HTMLElement} element
+   * @param {Partial<AnimationOptions>|number} [options] options or duration
+   * @param {Function} [callback] called once the element is hidden
+   *
    * @returns {Promise<boolean>}
    */
-  static slideDown(element, duration = 500, callback = () => false) {
-    return new Promise(() => {
-      element.style.removeProperty('display')
-      let display = window.getComputedStyle(element).display
-      if (display === 'none') {
-        display = 'block'
-      }
-      element.style.display = display
-      let height = element.offsetHeight
-      element.style.overflow = 'hidden'
-      element.style.height = 0
-      element.style.paddingTop = 0
-      element.style.paddingBottom = 0
-      element.style.marginTop = 0
-      element.style.marginBottom = 0
-      element.offsetHeight // eslint-disable-line no-unused-expressions
-      element.style.transitionProperty = `height, margin, padding`
-      element.style.transitionDuration = `${duration}ms`
-      element.style.height = `${height}px`
-      element.style.removeProperty('padding-top')
-      element.style.removeProperty('padding-bottom')
-      element.style.removeProperty('margin-top')
-      element.style.removeProperty('margin-bottom')
-      window.setTimeout(() => {
-        element.style.removeProperty('height')
-        element.style.removeProperty('overflow')
-        element.style.removeProperty('transition-duration')
-        element.style.removeProperty('transition-property')
-
-        if (callback) {
-          callback()
-        }
-      }, duration)
-    })
+  static slideUp(element, options, callback) {
+    return withCallback(this.hide(element, getOptions(options, 'slide')), callback)
   }
 
   /**
-   * Show or hide an element with a jQuery slide effect
+   * Show an element with a slide effect
+   *
    * @param {HTMLElement} element
-   * @param {Number} duration
-   * @param {Function} callback
+   * @param {Partial<AnimationOptions>|number} [options] options or duration
+   * @param {Function} [callback] called once the element is shown
+   *
    * @returns {Promise<boolean>}
    */
-  static slideToggle(element, duration = 500, callback = () => false) {
+  static slideDown(element, options, callback) {
+    return withCallback(this.show(element, getOptions(options, 'slide')), callback)
+  }
+
+  /**
+   * Show or hide an element with a slide effect
+   *
+   * @param {HTMLElement} element
+   * @param {Partial<AnimationOptions>|number} [options] options or duration
+   * @param {Function} [callback] called once the element is shown or hidden
+   *
+   * @returns {Promise<boolean>}
+   */
+  static slideToggle(element, options, callback) {
+    return withCallback(this.toggle(element, getOptions(options, 'slide')), callback)
+  }
+}
+
+// ----
+// private
+// ----
+
+/**
+ * Animate an element from its current frame to its visible or hidden frame
+ *
+ * @param {HTMLElement} element
+ * @param {boolean} visible
+ * @param {Partial<AnimationOptions>|number} [options]
+ *
+ * @returns {Promise<boolean>}
+ */
+function animate(element, visible, options) {
+  const { duration, easing, preset } = getOptions(options)
+  const properties = DOMAnimations.presets[preset] || DOMAnimations.presets.slide
+  const running = animations.get(element)
+
+  if (running && running.visible === visible) {
+    return running.promise
+  }
+
+  if (!running && DOMAnimations.isVisible(element) === visible) {
+    return Promise.resolve(true)
+  }
+
+  // the frame of the running animation is read before it is cancelled, the new animation starts from it
+  const from = running ? getFrame(element, properties) : null
+  // a reversed animation lasts the time already spent
+  const time = running ? Math.min(Number(running.animation.currentTime) || 0, duration) : duration
+
+  DOMAnimations.cancel(element)
+
+  if (visible && window.getComputedStyle(element).display === 'none') {
+    element.style.removeProperty('display')
+
     if (window.getComputedStyle(element).display === 'none') {
-      return this.slideDown(element, duration, callback)
+      element.style.display = 'block'
     }
-    return this.slideUp(element, duration, callback)
   }
+
+  if (time <= 0 || typeof element.animate !== 'function' || Breakpoints.get(REDUCED_MOTION_QUERY).matches) {
+    end(element, visible)
+
+    return Promise.resolve(true)
+  }
+
+  const shown = getFrame(element, properties)
+  const hidden = properties.reduce((frame, property) => Object.assign(frame, { [property]: '0' }), {})
+  const keyframes = visible ? [from || hidden, shown] : [from || shown, hidden]
+
+  // the content does not overflow while the height changes
+  if (properties.indexOf('height') !== -1) {
+    keyframes.forEach((keyframe) => (keyframe.overflow = 'hidden'))
+  }
+
+  const animation = element.animate(keyframes, { duration: time, easing })
+  const promise = animation.finished.then(
+    () => {
+      animations.delete(element)
+      end(element, visible)
+
+      return true
+    },
+    () => false
+  )
+
+  animations.set(element, { animation, promise, visible })
+
+  return promise
+}
+
+/**
+ * Apply the last frame: hidden elements get display: none
+ *
+ * @param {HTMLElement} element
+ * @param {boolean} visible
+ *
+ * @returns {void}
+ */
+function end(element, visible) {
+  if (!visible) {
+    element.style.display = 'none'
+  }
+}
+
+/**
+ * Get the computed values of animated properties
+ *
+ * @param {HTMLElement} element
+ * @param {string[]} properties
+ *
+ * @returns {Object<string, string>}
+ */
+function getFrame(element, properties) {
+  const style = window.getComputedStyle(element)
+
+  return properties.reduce((frame, property) => Object.assign(frame, { [property]: style[property] }), {})
+}
+
+/**
+ * Merge options with the defaults, a number is a duration
+ *
+ * @param {Partial<AnimationOptions>|number} [options]
+ * @param {string} [preset] preset used if the options have no preset
+ *
+ * @returns {AnimationOptions}
+ */
+function getOptions(options, preset) {
+  return Object.assign(
+    {},
+    DOMAnimations.defaults,
+    preset ? { preset } : {},
+    typeof options === 'number' ? { duration: options } : options
+  )
+}
+
+/**
+ * Call a callback once an animation has ended
+ *
+ * @param {Promise<boolean>} promise
+ * @param {Function} [callback]
+ *
+ * @returns {Promise<boolean>}
+ */
+function withCallback(promise, callback) {
+  return callback
+    ? promise.then((finished) => {
+        if (finished) {
+          callback()
+        }
+
+        return finished
+      })
+    : promise
+}
+
+/**
+ * Animated properties of each preset, from 0 when hidden to their computed value when visible
+ *
+ * @type {Object<string, string[]>}
+ */
+DOMAnimations.presets = {
+  fade: ['opacity'],
+  slide: SLIDE_PROPERTIES,
+  'slide-fade': SLIDE_PROPERTIES.concat('opacity'),
+}
+
+/** @type {AnimationOptions} */
+DOMAnimations.defaults = {
+  duration: 500,
+  easing: 'ease',
+  preset: 'slide',
 }
 
 export default DOMAnimations
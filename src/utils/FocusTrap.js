@@ -0,0 +1,203 @@
+import { getInitialFocus, getTabbableElements, isFocusable } from './focus.js'
+
+// active traps, only the last one keeps the focus
+const stack = []
+
+/**
+ * Keep the keyboard focus in containers while the trap is active. Traps are stacked: activating a trap pauses the
+ * active one, which keeps the focus again once the new trap is deactivated.
+ */
+class FocusTrap {
+  /**
+   * @param {HTMLElement|HTMLElement[]} containers elements in which the focus is kept, in tab order
+   * @param {Object} [options]
+   * @param {HTMLElement|string|null} [options.initialFocus] element or selector focused on activation, the first
+   * element with an autofocus attribute, then the first tabbable element by default
+   * @param {boolean} [options.returnFocus] focus the element that had the focus before the activation on deactivation
+   */
+  constructor(containers, { initialFocus = null, returnFocus = true } = {}) {
+    this.containers = [].concat(containers)
+    this.active = false
+    this._settings = { initialFocus, returnFocus }
+    this._returnElement = null
+    this._isBackward = false
+    this._tabIndexes = []
+  }
+
+  /**
+   * Move the focus in the containers and keep it there
+   *
+   * @returns {FocusTrap}
+   */
+  activate() {
+    if (this.active) {
+      return this
+    }
+
+    this.active = true
+    this._returnElement = document.activeElement
+
+    if (stack.length === 0) {
+      addListeners()
+    }
+
+    stack.push(this)
+    focus.call(this, getInitialFocus(this.containers, this._settings.initialFocus))
+
+    return this
+  }
+
+  /**
+   * Release the focus
+   *
+   * @param {Object} [options]
+   * @param {boolean|HTMLElement} [options.returnFocus] element to focus, true to focus the element that had the focus
+   * before the activation
+   *
+   * @returns {FocusTrap}
+   */
+  deactivate({ returnFocus = this._settings.returnFocus } = {}) {
+    if (!this.active) {
+      return this
+    }
+
+    const returnElement = returnFocus === true ? this._returnElement : returnFocus
+
+    this.active = false
+    this._returnElement = null
+    stack.splice(stack.indexOf(this), 1)
+
+    if (stack.length === 0) {
+      removeListeners()
+    }
+
+    this._tabIndexes.splice(0).forEach(({ element, value }) => {
+      value === null ? element.removeAttribute('tabindex') : element.setAttribute('tabindex', value)
+    })
+
+    if (returnElement && returnElement.isConnected && isFocusable(returnElement)) {
+      returnElement.focus()
+    }
+
+    return this
+  }
+
+  /**
+   * Check if an element is in one of the containers
+   *
+   * @param {Node} element
+   *
+   * @returns {boolean}
+   */
+  contains(element) {
+    return !!element && this.containers.some((container) => container.contains(element))
+  }
+
+  /**
+   * Get the trap keeping the focus
+   *
+   * @returns {FocusTrap|null}
+   */
+  static getActive() {
+    return stack[stack.length - 1] || null
+  }
+}
+
+// ----
+// events
+// ----
+
+/**
+ * Wrap the focus from the last tabbable element to the first one, and from the first to the last with Shift
+ *
+ * @param {KeyboardEvent} e
+ *
+ * @returns {void}
+ */
+function onKeydown(e) {
+  const trap = FocusTrap.getActive()
+
+  if (e.key !== 'Tab' || !trap) {
+    return
+  }
+
+  // tabbable elements are looked up on each key press, content added while the trap is active is included
+  const elements = getTabbableElements(trap.containers)
+  const index = elements.indexOf(document.activeElement)
+
+  trap._isBackward = e.shiftKey
+
+  if (elements.length === 0) {
+    e.preventDefault()
+  } else if (index === -1 || (e.shiftKey && index === 0) || (!e.shiftKey && index === elements.length - 1)) {
+    e.preventDefault()
+    elements[e.shiftKey ? elements.length - 1 : 0].focus()
+  }
+}
+
+/**
+ * Bring the focus back when it leaves the containers (click, script, tab order between several containers)
+ *
+ * @param {FocusEvent} e
+ *
+ * @returns {void}
+ */
+function onFocusIn(e) {
+  const trap = FocusTrap.getActive()
+
+  if (!trap || trap.contains(e.target)) {
+    return
+  }
+
+  const elements = getTabbableElements(trap.containers)
+  const index = elements.indexOf(e.relatedTarget)
+
+  if (index === -1) {
+    focus.call(trap, getInitialFocus(trap.containers, trap._settings.initialFocus))
+  } else {
+    elements[(index + (trap._isBackward ? -1 : 1) + elements.length) % elements.length].focus()
+  }
+}
+
+// ----
+// private
+// ----
+
+/**
+ * Add the listeners shared by every trap
+ *
+ * @returns {void}
+ */
+function addListeners() {
+  document.addEventListener('keydown', onKeydown)
+  document.addEventListener('focusin', onFocusIn)
+}
+
+/**
+ * Remove the listeners shared by every trap
+ *
+ * @returns {void}
+ */
+function removeListeners() {
+  document.removeEventListener('keydown', onKeydown)
+  document.removeEventListener('focusin', onFocusIn)
+}
+
+/**
+ * Focus an element, an element that cannot receive the focus (container without tabbable element) gets a
+ * tabindex="-1" attribute until the trap is deactivated
+ *
+ * @param {HTMLElement} element
+ *
+ * @returns {void}
+ */
+function focus(element) {
+  if (!isFocusable(element)) {
+    this._tabIndexes.push({ element, value: element.getAttribute('tabindex') })
+    element.setAttribute('tabindex', '-1')
+  }
+
+  element.focus()
+}
+
+export default FocusTrap
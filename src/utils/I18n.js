@@ -0,0 +1,121 @@
+import de from '../locales/de.js'
+import en from '../locales/en.js'
+import es from '../locales/es.js'
+import extend from './extend.js'
+import fr from '../locales/fr.js'
+
+const DEFAULT_LOCALE = 'en'
+const catalog = { de, en, es, fr }
+let currentLocale = null
+
+/**
+ * Message catalog used by the components for visible text, ARIA labels and live region announcements. Messages are
+ * indexed by locale then by component name, and can contain {name} placeholders.
+ */
+class I18n {
+  /**
+   * Add or override the messages of a locale
+   *
+   * @example I18n.define('it', { slider: { counter: '{current} di {total}' } })
+   *
+   * @param {string} locale
+   * @param {Object} messages messages indexed by component name
+   *
+   * @returns {typeof I18n}
+   */
+  static define(locale, messages) {
+    catalog[locale] = extend(true, {}, catalog[locale], messages)
+    return this
+  }
+
+  /**
+   * Set the locale used by every component, the closest lang attribute of the component is used if no locale is set
+   *
+   * @param {string|null} locale
+   *
+   * @returns {typeof I18n}
+   */
+  static setLocale(locale) {
+    currentLocale = locale
+    return this
+  }
+
+  /**
+   * Get the locale set with setLocale()
+   *
+   * @returns {string|null}
+   */
+  static getLocale() {
+    return currentLocale
+  }
+
+  /**
+   * Get a message from the catalog, falling back to the base language (fr-CA then fr) then to English
+   *
+   * @param {string} key component name and message name, slider.counter
+   * @param {Object} params values of the {name} placeholders
+   * @param {string} locale
+   *
+   * @returns {string} the key if the message does not exist
+   */
+  static translate(key, params, locale) {
+    const locales = getFallbackLocales(locale || currentLocale || DEFAULT_LOCALE)
+
+    for (let i = 0; i < locales.length; i++) {
+      const message = getMessage(catalog[locales[i]], key)
+
+      if (typeof message === 'string') {
+        return interpolate(message, params)
+      }
+    }
+
+    return key
+  }
+}
+
+// ----
+// utils
+// ----
+
+/**
+ * Replace {name} placeholders, unknown placeholders are kept
+ *
+ * @example interpolate('Slide {current} of {total}', { current: 1, total: 5 }) // Slide 1 of 5
+ *
+ * @param {string} message
+ * @param {Object} params
+ *
+ * @returns {string}
+ */
+export function interpolate(message, params = {}) {
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    typeof params[name] !== 'undefined' && params[name] !== null ? String(params[name]) : placeholder
+  )
+}
+
+/**
+ * Get a nested message from a dotted key
+ *
+ * @param {Object} messages
+ * @param {string} key
+ *
+ * @returns {string|undefined}
+ */
+function getMessage(messages, key) {
+  return key.split('.').reduce((value, name) => (value ? value[name] : undefined), messages)
+}
+
+/**
+ * Get the locales to look up, from the most specific to the default one
+ *
+ * @param {string} locale
+ *
+ * @returns {string[]}
+ */
+function getFallbackLocales(locale) {
+  const locales = [locale, locale.split('-')[0], DEFAULT_LOCALE]
+
+  return locales.filter((value, index) => locales.indexOf(value) === index)
+}
+
+export default I18n
@@ -0,0 +1,418 @@
+import { claimId, getDirection } from './helpers.js'
+
+// delay after which typed characters start a new search
+const TYPEAHEAD_DELAY = 500
+
+// live controllers, every controller shares a single document keydown listener
+const controllers = []
+
+/**
+ * @typedef {Object} KeyboardNavigationMove
+ * @property {number} index index of the item in the items
+ * @property {number} previousIndex index of the current item, -1 if there is no current item
+ * @property {number} direction 1 when moving forward (next item, last item), -1 when moving backward
+ * @property {KeyboardEvent} event
+ */
+
+/**
+ * @typedef {Object} KeyboardNavigationOptions
+ * @property {string|(() => ArrayLike<HTMLElement>)} items selector of the items in the container or function returning
+ * the items, looked up on each key press
+ * @property {'focus'|'roving'|'activedescendant'|'custom'} mode focus the items, focus the items and keep a single item
+ * in the tab order (roving tabindex), reference the current item with aria-activedescendant on the owner, or let
+ * onMove update the current item
+ * @property {HTMLElement|null} owner element keeping the focus in activedescendant and custom modes, the container by
+ * default
+ * @property {((element: Element) => boolean)|null} isKeyTarget check if the keys pressed on an element are handled,
+ * replacing the check of the mode
+ * @property {(() => HTMLElement|null)|null} current function returning the current item, required in custom mode
+ * @property {'horizontal'|'vertical'|'both'|'grid'} orientation arrow keys moving the current item
+ * @property {'ltr'|'rtl'|null} direction text direction, ArrowLeft moves forward in right-to-left layouts, the computed
+ * direction of the container is used if null
+ * @property {number} columns number of columns of a grid
+ * @property {boolean} wrap move from the last item to the first one and from the first to the last, or stop at the ends
+ * @property {boolean} typeahead move to the next item starting with the typed characters
+ * @property {(item: HTMLElement) => boolean} isDisabled items skipped by the navigation
+ * @property {((item: HTMLElement, move: KeyboardNavigationMove) => boolean|void)|null} onMove called before the
+ * current item changes, return false to keep the current item
+ * @property {((e: KeyboardEvent) => void)|null} onKeydown called before the navigation for keys pressed on an item or on
+ * the owner, the navigation is skipped if the default action is prevented
+ */
+
+/**
+ * Arrow keys, Home, End and typeahead navigation between the items of a container. The controllers share a single
+ * delegated keydown listener, the innermost controller handles the keys pressed in nested containers. Horizontal arrow
+ * keys are mirrored in right-to-left layouts.
+ */
+class KeyboardNavigation {
+  /**
+   * @param {HTMLElement} container
+   * @param {Partial<KeyboardNavigationOptions>} [options]
+   */
+  constructor(container, options = {}) {
+    this.container = container
+    /** @type {KeyboardNavigationOptions} */
+    this._settings = Object.assign({}, KeyboardNavigation.defaults, options)
+    this._search = ''
+    this._searchTimeout = null
+    this._tabIndexes = []
+
+    if (controllers.length === 0) {
+      document.addEventListener('keydown', onKeydown)
+    }
+
+    controllers.push(this)
+
+    if (this._settings.mode === 'roving') {
+      const items = this.getItems()
+      const current = items.filter((item) => item.getAttribute('tabindex') === '0')[0]
+
+      updateTabIndexes.call(this, items, current || items.filter((item) => !this._settings.isDisabled(item))[0])
+    }
+  }
+
+  /**
+   * Get the items, in document order
+   *
+   * @returns {HTMLElement[]}
+   */
+  getItems() {
+    const { items } = this._settings
+
+    return Array.prototype.slice.call(
+      typeof items === 'function' ? items.call(this) : this.container.querySelectorAll(items)
+    )
+  }
+
+  /**
+   * Get the current item: the item having the focus, the item referenced by aria-activedescendant, or the item
+   * returned by the current option
+   *
+   * @returns {HTMLElement|null}
+   */
+  getCurrent() {
+    const { current, mode } = this._settings
+    const items = this.getItems()
+
+    if (current) {
+      return current.call(this)
+    }
+
+    if (mode === 'activedescendant') {
+      const id = getOwner.call(this).getAttribute('aria-activedescendant')
+
+      return items.filter((item) => !!id && item.id === id)[0] || null
+    }
+
+    return items.filter((item) => item.contains(document.activeElement))[0] || null
+  }
+
+  /**
+   * Make an item the current item without calling onMove
+   *
+   * @param {HTMLElement} item
+   *
+   * @returns {KeyboardNavigation}
+   */
+  setCurrent(item) {
+    const { mode } = this._settings
+
+    if (mode === 'roving') {
+      updateTabIndexes.call(this, this.getItems(), item)
+    }
+
+    if (mode === 'activedescendant') {
+      item.id = claimId(item, 'item')
+      getOwner.call(this).setAttribute('aria-activedescendant', item.id)
+    } else if (mode !== 'custom') {
+      item.focus()
+    }
+
+    return this
+  }
+
+  /**
+   * Remove the controller and restore the tabindex attributes changed in roving mode
+   *
+   * @returns {KeyboardNavigation}
+   */
+  destroy() {
+    const index = controllers.indexOf(this)
+
+    if (index === -1) {
+      return this
+    }
+
+    controllers.splice(index, 1)
+
+    if (controllers.length === 0) {
+      document.removeEventListener('keydown', onKeydown)
+    }
+
+    clearTimeout(this._searchTimeout)
+
+    this._tabIndexes.splice(0).forEach(({ element, value }) => {
+      value === null ? element.removeAttribute('tabindex') : element.setAttribute('tabindex', value)
+    })
+
+    return this
+  }
+}
+
+// ----
+// events
+// ----
+
+/**
+ * Find the controller handling the key, the innermost one for nested containers, then move its current item
+ *
+ * @param {KeyboardEvent} e
+ *
+ * @returns {void}
+ */
+function onKeydown(e) {
+  const controller = controllers
+    .filter((item) => isKeyTarget.call(item, e.target))
+    .reduce((innermost, item) => (!innermost || innermost.container.contains(item.container) ? item : innermost), null)
+
+  if (!controller) {
+    return
+  }
+
+  const { typeahead } = controller._settings
+
+  if (controller._settings.onKeydown) {
+    controller._settings.onKeydown.call(controller, e)
+  }
+
+  if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) {
+    return
+  }
+
+  const step = getStep.call(controller, e.key)
+
+  if (step) {
+    e.preventDefault()
+    move.call(controller, step, e)
+  } else if (typeahead && e.key.length === 1 && (e.key !== ' ' || controller._search)) {
+    search.call(controller, e)
+  }
+}
+
+// ----
+// private
+// ----
+
+/**
+ * Get the element keeping the focus in activedescendant and custom modes
+ *
+ * @returns {HTMLElement}
+ */
+function getOwner() {
+  return this._settings.owner || this.container
+}
+
+/**
+ * Check if the controller handles the keys pressed on an element: an item in focus and roving modes, the owner in
+ * activedescendant and custom modes, or the elements accepted by the isKeyTarget option
+ *
+ * @param {Element} element
+ *
+ * @returns {boolean}
+ */
+function isKeyTarget(element) {
+  const { isKeyTarget, mode } = this._settings
+
+  if (isKeyTarget) {
+    return isKeyTarget.call(this, element)
+  }
+
+  if (mode === 'activedescendant' || mode === 'custom') {
+    return element === getOwner.call(this)
+  }
+
+  return this.container.contains(element) && this.getItems().some((item) => item.contains(element))
+}
+
+/**
+ * Get the move of a key: first, last, or a number of items forward or backward, horizontal keys are mirrored in
+ * right-to-left layouts
+ *
+ * @param {string} key
+ *
+ * @returns {'first'|'last'|number|null}
+ */
+function getStep(key) {
+  const { columns, direction, orientation } = this._settings
+  const isHorizontal = orientation !== 'vertical'
+  const isVertical = orientation !== 'horizontal'
+  const verticalStep = orientation === 'grid' ? columns : 1
+  // ArrowRight moves backward in right-to-left layouts
+  const horizontalStep = isHorizontal && getDirection(this.container, direction) === 'rtl' ? -1 : 1
+
+  switch (key) {
+    case 'Home':
+      return 'first'
+    case 'End':
+      return 'last'
+    case 'ArrowLeft':
+      return isHorizontal ? -horizontalStep : null
+    case 'ArrowRight':
+      return isHorizontal ? horizontalStep : null
+    case 'ArrowUp':
+      return isVertical ? -verticalStep : null
+    case 'ArrowDown':
+      return isVertical ? verticalStep : null
+    default:
+      return null
+  }
+}
+
+/**
+ * Move the current item, disabled items are skipped
+ *
+ * @param {'first'|'last'|number} step
+ * @param {KeyboardEvent} e
+ *
+ * @returns {void}
+ */
+function move(step, e) {
+  const { isDisabled, orientation, wrap } = this._settings
+  const items = this.getItems()
+  const previousIndex = items.indexOf(this.getCurrent())
+  const direction = step === 'last' || step > 0 ? 1 : -1
+  const length = items.length
+  // the rows of a grid do not wrap
+  const canWrap = wrap && orientation !== 'grid'
+  let index
+  let skip
+
+  if (step === 'first' || step === 'last' || previousIndex === -1) {
+    // without current item, moving forward reaches the first item and moving backward the last one
+    const fromStart = step === 'first' || (step !== 'last' && direction === 1)
+
+    index = fromStart ? 0 : length - 1
+    skip = fromStart ? 1 : -1
+  } else {
+    index = previousIndex + step
+    skip = step
+
+    if (index < 0 || index >= length) {
+      index = canWrap ? (index + length) % length : previousIndex
+    }
+  }
+
+  // skip disabled items in the direction of the move
+  for (let i = 0; i < length && items[index] && isDisabled(items[index]); i++) {
+    index = canWrap ? (index + skip + length) % length : index + skip
+  }
+
+  if (!items[index] || isDisabled(items[index]) || index === previousIndex) {
+    return
+  }
+
+  activate.call(this, items[index], { index, previousIndex, direction, event: e })
+}
+
+/**
+ * Call onMove then make an item the current item
+ *
+ * @param {HTMLElement} item
+ * @param {KeyboardNavigationMove} detail
+ *
+ * @returns {void}
+ */
+function activate(item, detail) {
+  const { onMove } = this._settings
+
+  if (onMove && onMove.call(this, item, detail) === false) {
+    return
+  }
+
+  this.setCurrent(item)
+}
+
+/**
+ * Move to the next item starting with the typed characters, typing the same character cycles through the items
+ * starting with it
+ *
+ * @param {KeyboardEvent} e
+ *
+ * @returns {void}
+ */
+function search(e) {
+  const { isDisabled } = this._settings
+  const items = this.getItems()
+  const previousIndex = items.indexOf(this.getCurrent())
+  const query = (this._search + e.key).toLowerCase()
+  const isRepeated = query.split('').every((character) => character === query[0])
+  // a new search starts after the current item, a longer search can match the current item
+  const start = previousIndex + (query.length === 1 || isRepeated ? 1 : 0)
+
+  this._search = query
+  clearTimeout(this._searchTimeout)
+  this._searchTimeout = setTimeout(() => {
+    this._search = ''
+  }, TYPEAHEAD_DELAY)
+
+  for (let i = 0; i < items.length; i++) {
+    const index = (start + i + items.length) % items.length
+    const text = items[index].textContent.trim().toLowerCase()
+
+    if (!isDisabled(items[index]) && text.indexOf(isRepeated ? query[0] : query) === 0) {
+      if (index !== previousIndex) {
+        activate.call(this, items[index], { index, previousIndex, direction: 1, event: e })
+      }
+
+      return
+    }
+  }
+}
+
+/**
+ * Keep the current item in the tab order, the other items get a tabindex="-1" attribute
+ *
+ * @param {HTMLElement[]} items
+ * @param {HTMLElement|undefined} current
+ *
+ * @returns {void}
+ */
+function updateTabIndexes(items, current) {
+  items.forEach((item) => {
+    if (!this._tabIndexes.some(({ element }) => element === item)) {
+      this._tabIndexes.push({ element: item, value: item.getAttribute('tabindex') })
+    }
+
+    item.setAttribute('tabindex', item === current ? '0' : '-1')
+  })
+}
+
+/**
+ * Check if an item is disabled: disabled property, aria-disabled="true" or hidden attribute
+ *
+ * @param {HTMLElement} item
+ *
+ * @returns {boolean}
+ */
+function isItemDisabled(item) {
+  return item.disabled === true || item.getAttribute('aria-disabled') === 'true' || item.hidden
+}
+
+/** @type {KeyboardNavigationOptions} */
+KeyboardNavigation.defaults = {
+  items: '[role="option"]',
+  mode: 'focus',
+  owner: null,
+  isKeyTarget: null,
+  current: null,
+  orientation: 'vertical',
+  direction: null,
+  columns: 1,
+  wrap: true,
+  typeahead: false,
+  isDisabled: isItemDisabled,
+  onMove: null,
+  onKeydown: null,
+}
+
+export default KeyboardNavigation
@@ -0,0 +1,350 @@
+import extend from './extend.js'
+
+/**
+ * @typedef {import('../classes/AbstractDomElement.js').default} AbstractDomElement
+ */
+
+const STATE_EVENTS = ['be-a11y:open', 'be-a11y:close', 'be-a11y:change']
+const entries = []
+let settings = {
+  mode: 'hash',
+  push: true,
+}
+let isApplying = false
+let isUpdateScheduled = false
+
+/**
+ * Opt-in URL synchronization, the state of synced instances is written to the URL hash or query string, restored on
+ * page load and on history navigation (back and forward buttons).
+ *
+ * Each instance is stored in its own URL parameter, named after its element id by default:
+ * - Accordion: indexes of the expanded panels, #faq=0,2
+ * - Slider: index of the current slide, #gallery=3
+ * - Tabs: index of the selected tab, #product-tabs=1
+ * - Modal, Toggle and Dropdown: a parameter shared by the components of the same type holds the id of the open
+ *   element, #modal=newsletter
+ */
+class Router {
+  /**
+   * Configure the URL synchronization
+   *
+   * @param {Object} options
+   * @param {string} options.mode 'hash' or 'query'
+   * @param {boolean} options.push add a history entry for each change, replace the current entry if false
+   *
+   * @returns {typeof Router}
+   */
+  static configure(options) {
+    settings = extend({}, settings, options)
+    return this
+  }
+
+  /**
+   * Sync instances with the URL, then restore their state from the current URL
+   *
+   * @example Router.sync(Tabs.getInstance('#product-tabs'))
+   * @example Router.sync(Accordion, { key: 'expanded' })
+   *
+   * @param {AbstractDomElement|AbstractDomElement[]|Function} target instance, array of instances or component class
+   * @param {Object} options
+   * @param {string} options.param URL parameter name
+   * @param {string} options.key key of the object returned by getState(), the first key by default
+   *
+   * @returns {typeof Router}
+   */
+  static sync(target, { param, key } = {}) {
+    const params = getParams()
+
+    getInstances(target).forEach((instance) => {
+      if (getEntry(instance)) {
+        return
+      }
+
+      const state = instance.getState()
+      const entry = {
+        instance,
+        key: key || Object.keys(state)[0],
+        param: null,
+        defaultValue: null,
+      }
+
+      if (!entry.key) {
+        console.warn('[Router] no state to sync on :', instance._element)
+        return
+      }
+
+      entry.defaultValue = state[entry.key]
+      entry.param = param || getDefaultParam(entry)
+
+      if (!entry.param) {
+        console.warn('[Router] an id or a param option is required to sync :', instance._element)
+        return
+      }
+
+      if (entries.length === 0) {
+        addListeners()
+      }
+
+      entries.push(entry)
+      instance.addTeardown(() => Router.unsync(instance))
+      applyParams([entry], params)
+    })
+
+    return this
+  }
+
+  /**
+   * Stop syncing instances with the URL
+   *
+   * @param {AbstractDomElement|AbstractDomElement[]|Function} target instance, array of instances or component class
+   *
+   * @returns {typeof Router}
+   */
+  static unsync(target) {
+    getInstances(target).forEach((instance) => {
+      const entry = getEntry(instance)
+
+      if (entry) {
+        entries.splice(entries.indexOf(entry), 1)
+
+        if (entries.length === 0) {
+          removeListeners()
+        }
+      }
+    })
+
+    return this
+  }
+}
+
+// ----
+// events
+// ----
+
+/**
+ * Restore the state of synced instances after a history navigation, an in-page link to an element keeps the state
+ *
+ * @returns {void}
+ */
+function onPopState() {
+  if (settings.mode === 'hash' && isElementHash()) {
+    return
+  }
+
+  applyParams(entries, getParams())
+}
+
+/**
+ * Update the URL once per task after a state change of a synced instance
+ *
+ * @param {CustomEvent} e
+ *
+ * @returns {void}
+ */
+function onStateChange(e) {
+  if (isApplying || isUpdateScheduled || !getEntry(e.detail.instance)) {
+    return
+  }
+
+  isUpdateScheduled = true
+
+  // an accordion closes a panel then opens another one, the URL is updated once
+  Promise.resolve().then(() => {
+    isUpdateScheduled = false
+    updateUrl()
+  })
+}
+
+// ----
+// private
+// ----
+
+/**
+ * Add history and state change listeners
+ *
+ * @returns {void}
+ */
+function addListeners() {
+  window.addEventListener('popstate', onPopState)
+  window.addEventListener('hashchange', onPopState)
+  STATE_EVENTS.forEach((type) => document.addEventListener(type, onStateChange))
+}
+
+/**
+ * Remove history and state change listeners
+ *
+ * @returns {void}
+ */
+function removeListeners() {
+  window.removeEventListener('popstate', onPopState)
+  window.removeEventListener('hashchange', onPopState)
+  STATE_EVENTS.forEach((type) => document.removeEventListener(type, onStateChange))
+}
+
+/**
+ * Apply URL parameters to synced instances, instances without parameter get their default state back
+ *
+ * @param {Object[]} syncedEntries
+ * @param {URLSearchParams} params
+ *
+ * @returns {void}
+ */
+function applyParams(syncedEntries, params) {
+  isApplying = true
+
+  try {
+    syncedEntries.forEach((entry) => {
+      const value = parseValue(entry, params.get(entry.param))
+      const currentValue = entry.instance.getState()[entry.key]
+
+      if (stringifyValue(value) !== stringifyValue(currentValue)) {
+        entry.instance.setState({ [entry.key]: value })
+      }
+    })
+  } finally {
+    isApplying = false
+  }
+}
+
+/**
+ * Write the state of synced instances to the URL
+ *
+ * @returns {void}
+ */
+function updateUrl() {
+  const params = getParams()
+  const { hash, pathname, search } = window.location
+
+  entries.forEach((entry) => {
+    const value = entry.instance.getState()[entry.key]
+
+    if (typeof value === 'boolean') {
+      // the parameter is shared, only remove it if it references this instance
+      if (value) {
+        params.set(entry.param, entry.instance._element.id)
+      } else if (params.get(entry.param) === entry.instance._element.id) {
+        params.delete(entry.param)
+      }
+    } else if (stringifyValue(value) === stringifyValue(entry.defaultValue)) {
+      params.delete(entry.param)
+    } else {
+      params.set(entry.param, stringifyValue(value))
+    }
+  })
+
+  const query = params.toString().replace(/%2C/g, ',')
+  // a hash referencing an element is replaced by the state, and kept if there is no state to write
+  const fragment = query ? `#${query}` : isElementHash() ? hash : ''
+  const url =
+    settings.mode === 'query' ? `${pathname}${query ? `?${query}` : ''}${hash}` : `${pathname}${search}${fragment}`
+
+  if (url !== `${pathname}${search}${hash}`) {
+    window.history[settings.push ? 'pushState' : 'replaceState'](window.history.state, '', url)
+  }
+}
+
+// ----
+// utils
+// ----
+
+/**
+ * Get the URL parameters of the configured mode
+ *
+ * @returns {URLSearchParams}
+ */
+function getParams() {
+  if (settings.mode === 'query') {
+    return new URLSearchParams(window.location.search.slice(1))
+  }
+
+  return new URLSearchParams(isElementHash() ? '' : window.location.hash.slice(1))
+}
+
+/**
+ * Check if the hash references an element (#section) instead of holding URL parameters
+ *
+ * @returns {boolean}
+ */
+function isElementHash() {
+  const { hash } = window.location
+
+  return hash.length > 1 && hash.indexOf('=') === -1
+}
+
+/**
+ * Get instances from an instance, an array of instances or a component class
+ *
+ * @param {AbstractDomElement|AbstractDomElement[]|Function} target
+ *
+ * @returns {AbstractDomElement[]}
+ */
+function getInstances(target) {
+  if (typeof target === 'function') {
+    return target.getInstances()
+  }
+
+  return Array.isArray(target) ? target : [target]
+}
+
+/**
+ * Get the entry of a synced instance
+ *
+ * @param {AbstractDomElement} instance
+ *
+ * @returns {Object|undefined}
+ */
+function getEntry(instance) {
+  return entries.find((entry) => entry.instance === instance)
+}
+
+/**
+ * Get the default URL parameter name, the component name for open states, the element id otherwise
+ *
+ * @param {Object} entry
+ *
+ * @returns {string}
+ */
+function getDefaultParam(entry) {
+  if (typeof entry.defaultValue === 'boolean') {
+    return entry.instance._element.id ? entry.instance.constructor.nameSpace.toLowerCase() : ''
+  }
+
+  return entry.instance._element.id
+}
+
+/**
+ * Convert a state value to a URL parameter value
+ *
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+function stringifyValue(value) {
+  return Array.isArray(value) ? value.join(',') : String(value)
+}
+
+/**
+ * Convert a URL parameter value to a state value, a missing parameter gives the default state
+ *
+ * @param {Object} entry
+ * @param {string|null} value
+ *
+ * @returns {*}
+ */
+function parseValue(entry, value) {
+  if (typeof entry.defaultValue === 'boolean') {
+    return value === entry.instance._element.id
+  }
+
+  if (value === null) {
+    return entry.defaultValue
+  }
+
+  if (Array.isArray(entry.defaultValue)) {
+    return value.split(',').filter(Boolean).map(Number)
+  }
+
+  return typeof entry.defaultValue === 'number' ? Number(value) : value
+}
+
+export default Router
@@ -0,0 +1,48 @@
+import { expect, test } from '@playwright/test'
+
+test.describe('Router', () => {
+  test('Load the page with a hash, expect the referenced tab, sections and modal are opened.', async ({ page }) => {
+    await page.goto('http://localhost:5173/examples/url-sync/index.html#url-tabs=2&url-faq=1&modal=url-modal')
+
+    await expect(page.locator('#url-tab-3')).toHaveAttribute('aria-selected', 'true')
+    await expect(page.locator('#url-faq .accordion__trigger').nth(1)).toHaveAttribute('aria-expanded', 'true')
+    await expect(page.locator('#url-modal')).not.toHaveAttribute('aria-hidden')
+  })
+
+  test('Click on a tab, expect the hash is updated.', async ({ page }) => {
+    await page.goto('http://localhost:5173/examples/url-sync/index.html')
+    await page.click('#url-tab-2')
+
+    await expect(page).toHaveURL(/#url-tabs=1$/)
+  })
+
+  test('Click on a tab with an anchor in the URL, expect the state replaces the anchor in the hash.', async ({
+    page,
+  }) => {
+    await page.goto('http://localhost:5173/examples/url-sync/index.html#url-faq')
+    await page.click('#url-tab-2')
+
+    await expect(page).toHaveURL(/#url-tabs=1$/)
+  })
+
+  test('Select a tab then follow an in-page link, expect the tab stays selected.', async ({ page }) => {
+    await page.goto('http://localhost:5173/examples/url-sync/index.html#url-tabs=1')
+    await page.evaluate(() => {
+      window.location.hash = 'url-faq'
+    })
+
+    await expect(page).toHaveURL(/#url-faq$/)
+    await expect(page.locator('#url-tab-2')).toHaveAttribute('aria-selected', 'true')
+  })
+
+  test('Open the modal then go back in history, expect the modal is closed.', async ({ page }) => {
+    await page.goto('http://localhost:5173/examples/url-sync/index.html')
+    await page.click('button[aria-controls="url-modal"]')
+
+    await expect(page).toHaveURL(/#modal=url-modal$/)
+
+    await page.goBack()
+
+    await expect(page.locator('#url-modal')).toHaveAttribute('aria-hidden', 'true')
+  })
+})
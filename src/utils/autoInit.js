@@ -0,0 +1,188 @@
+import Accordion from '../classes/Accordion.js'
+import Disclosure from '../classes/Disclosure.js'
+import Dropdown from '../classes/Dropdown.js'
+import Modal from '../classes/Modal.js'
+import Slider from '../classes/Slider.js'
+import Tabs from '../classes/Tabs.js'
+import Toggle from '../classes/Toggle.js'
+import { parseValue } from './helpers.js'
+
+const ATTRIBUTE = 'data-be-a11y'
+const OPTIONS_ATTRIBUTE = 'data-be-a11y-options'
+const SELECTOR = `[${ATTRIBUTE}]`
+
+/**
+ * Components available from the data-be-a11y attribute, indexed by name
+ */
+export const components = {
+  accordion: Accordion,
+  disclosure: Disclosure,
+  dropdown: Dropdown,
+  modal: Modal,
+  slider: Slider,
+  tabs: Tabs,
+  toggle: Toggle,
+}
+
+/**
+ * Register a component so it can be used from the data-be-a11y attribute
+ *
+ * @param {string} name name used in the data-be-a11y attribute
+ * @param {Function} Component class extending AbstractDomElement
+ *
+ * @returns {void}
+ */
+export function registerComponent(name, Component) {
+  components[name.toLowerCase()] = Component
+}
+
+/**
+ * Initialize every component declared with the data-be-a11y attribute, then watch the DOM to initialize added
+ * components and destroy removed ones.
+ *
+ * @param {HTMLElement|Document} root element to scan and observe
+ * @param {Object} options
+ * @param {boolean} options.observe keep watching the DOM with a MutationObserver
+ *
+ * @returns {MutationObserver|null}
+ */
+export default function autoInit(root = document, { observe = true } = {}) {
+  initElements(root)
+
+  if (!observe || typeof MutationObserver === 'undefined') {
+    return null
+  }
+
+  const observer = new MutationObserver(handleMutations)
+
+  observer.observe(root === document ? document.documentElement : root, { childList: true, subtree: true })
+
+  return observer
+}
+
+// ----
+// private
+// ----
+
+/**
+ * Handle DOM mutations
+ *
+ * @param {MutationRecord[]} mutations
+ *
+ * @returns {void}
+ */
+function handleMutations(mutations) {
+  mutations.forEach((mutation) => {
+    mutation.removedNodes.forEach((node) => {
+      // nodes moved elsewhere in the document are kept alive
+      if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+        destroyElements(node)
+      }
+    })
+
+    mutation.addedNodes.forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+        initElements(node)
+      }
+    })
+  })
+}
+
+/**
+ * Initialize declared components in root and its descendants
+ *
+ * @param {HTMLElement|Document} root
+ *
+ * @returns {void}
+ */
+function initElements(root) {
+  getDeclaredElements(root).forEach((element) => {
+    getComponents(element).forEach((Component) => {
+      if (!Component.hasInstance(element)) {
+        new Component(element, getOptions(element, Component))
+      }
+    })
+  })
+}
+
+/**
+ * Destroy declared components in root and its descendants
+ *
+ * @param {HTMLElement} root
+ *
+ * @returns {void}
+ */
+function destroyElements(root) {
+  getDeclaredElements(root).forEach((element) => {
+    getComponents(element).forEach((Component) => {
+      Component.destroy(element)
+    })
+  })
+}
+
+/**
+ * Get root (if declared) and its declared descendants
+ *
+ * @param {HTMLElement|Document} root
+ *
+ * @returns {HTMLElement[]}
+ */
+function getDeclaredElements(root) {
+  const elements = Array.prototype.slice.call(root.querySelectorAll(SELECTOR))
+
+  if (root.matches && root.matches(SELECTOR)) {
+    elements.unshift(root)
+  }
+
+  return elements
+}
+
+/**
+ * Get the component classes declared on an element, data-be-a11y can hold several space separated names
+ *
+ * @param {HTMLElement} element
+ *
+ * @returns {Function[]}
+ */
+function getComponents(element) {
+  return element
+    .getAttribute(ATTRIBUTE)
+    .split(/\s+/)
+    .filter((name) => {
+      if (name && !components[name.toLowerCase()]) {
+        console.warn(`[autoInit] unknown component "${name}" on :`, element)
+      }
+
+      return name && components[name.toLowerCase()]
+    })
+    .map((name) => components[name.toLowerCase()])
+}
+
+/**
+ * Get component options from the data-be-a11y-options JSON attribute, overridden by data-* attributes matching
+ * an option name (data-allow-multiple="true" sets allowMultiple), callbacks are not read from data-* attributes
+ *
+ * @param {HTMLElement} element
+ * @param {Function} Component
+ *
+ * @returns {Object}
+ */
+function getOptions(element, Component) {
+  let options = {}
+
+  if (element.hasAttribute(OPTIONS_ATTRIBUTE)) {
+    try {
+      options = JSON.parse(element.getAttribute(OPTIONS_ATTRIBUTE))
+    } catch {
+      console.warn(`[autoInit] invalid JSON in ${OPTIONS_ATTRIBUTE} on :`, element)
+    }
+  }
+
+  Object.keys(Component.defaults).forEach((key) => {
+    if (!/^on[A-Z]/.test(key) && typeof element.dataset[key] !== 'undefined') {
+      options[key] = parseValue(element.dataset[key])
+    }
+  })
+
+  return options
+}
@@ -0,0 +1,84 @@
+import { expect, test } from '@playwright/test'
+
+test.describe('autoInit', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173/examples/auto-init/index.html')
+  })
+
+  test('Load the page, expect the declared accordion is initialized with its data attribute options.', async ({
+    page,
+  }) => {
+    const id = await page.locator('#auto-accordion-1').getAttribute('data-id')
+    await page.click(`#accordion-${id}-2`)
+
+    expect(await page.locator(`#accordion-${id}-1`).getAttribute('aria-expanded')).toBe('true')
+    expect(await page.locator(`#accordion-${id}-2`).getAttribute('aria-expanded')).toBe('true')
+  })
+
+  test('Open a section of an accordion declared with a data-on-open attribute, expect the attribute is ignored.', async ({
+    page,
+  }) => {
+    const errors = []
+
+    page.on('pageerror', (error) => errors.push(error.message))
+
+    const id = await page.locator('#auto-accordion-1').getAttribute('data-id')
+    await page.click(`#accordion-${id}-2`)
+
+    await expect(page.locator(`#accordion-${id}-2`)).toHaveAttribute('aria-expanded', 'true')
+    expect(errors).toEqual([])
+  })
+
+  test('Load the page, expect the declared tabs are initialized with their JSON options.', async ({ page }) => {
+    await page.focus('#auto-tab-1')
+    await page.keyboard.press('ArrowRight')
+
+    expect(await page.locator('#auto-tab-2').getAttribute('aria-selected')).toBe('true')
+  })
+
+  test('Inject an accordion in the page, expect it is initialized.', async ({ page }) => {
+    await page.click('#inject')
+
+    await expect(page.locator('#auto-accordion-2')).toHaveAttribute('data-id')
+    await expect(page.locator('#auto-accordion-2 .accordion__trigger').first()).toHaveAttribute('aria-controls')
+  })
+
+  test('Remove an injected accordion, expect its instance is destroyed.', async ({ page }) => {
+    await page.click('#inject')
+    await expect(page.locator('#auto-accordion-2')).toHaveAttribute('data-id')
+
+    const isDestroyed = await page.evaluate(async () => {
+      const accordion = document.getElementById('auto-accordion-2')
+
+      document.getElementById('remove').click()
+      await new Promise((resolve) => window.setTimeout(resolve, 0))
+
+      return !accordion.beapi.Accordion && !accordion.querySelector('.accordion__trigger').hasAttribute('aria-controls')
+    })
+
+    expect(isDestroyed).toBe(true)
+  })
+
+  test('Inject an accordion with a preset, expect the data attributes override the preset options.', async ({
+    page,
+  }) => {
+    const settings = await page.evaluate(async () => {
+      const { Accordion } = await import('/be-a11y.js')
+      const element = document.createElement('div')
+
+      Accordion.definePreset('faq', { allowMultiple: true, forceExpand: false })
+      element.setAttribute('data-be-a11y', 'accordion')
+      element.setAttribute('data-preset', 'faq')
+      element.setAttribute('data-allow-multiple', 'false')
+      element.innerHTML = '<button class="accordion__trigger">One</button><div class="accordion__panel">One</div>'
+      document.body.append(element)
+      await new Promise((resolve) => window.setTimeout(resolve, 0))
+
+      const { allowMultiple, forceExpand } = element.beapi.Accordion._settings
+
+      return { allowMultiple, forceExpand }
+    })
+
+    expect(settings).toEqual({ allowMultiple: false, forceExpand: false })
+  })
+})
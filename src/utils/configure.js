@@ -0,0 +1,109 @@
+import extend from './extend.js'
+
+// class name options end with Class or ClassName (activeClass, openedClassName)
+const CLASS_NAME_OPTION = /Class(Name)?$/
+
+/**
+ * @typedef {Object} Config
+ * @property {Partial<import('./DOMAnimations.js').AnimationOptions>} animation animationDuration, animationEasing and
+ * animationPreset options of the components
+ * @property {string} classPrefix prefix of the default class names added by the components
+ * @property {Object<string, Object>} components default options of the components, indexed by name space
+ * @property {string} idPrefix prefix of the default prefixId option of the components
+ * @property {string|null} locale locale option of the components
+ */
+
+/** @type {Config} */
+let config = getDefaultConfig()
+
+/**
+ * Set library-wide options, merged with the options set before. The options of the components are, from the lowest
+ * to the highest precedence: component defaults, configure(), preset, instance options, data attributes.
+ *
+ * @example configure({ locale: 'fr', animation: { duration: 300 }, components: { Accordion: { allowMultiple: true } } })
+ *
+ * @param {Partial<Config>} options
+ *
+ * @returns {Config}
+ */
+export default function configure(options) {
+  config = extend(true, config, options)
+  return getConfig()
+}
+
+/**
+ * Get a copy of the options set with configure()
+ *
+ * @returns {Config}
+ */
+export function getConfig() {
+  return extend(true, {}, config)
+}
+
+/**
+ * Remove the options set with configure()
+ *
+ * @returns {void}
+ */
+export function resetConfig() {
+  config = getDefaultConfig()
+}
+
+/**
+ * Get the options of a component set with configure(): the library-wide options matching an option of the component,
+ * then the options of the component
+ *
+ * @param {Function} Component class extending AbstractDomElement
+ *
+ * @returns {Object}
+ */
+export function getConfiguredOptions(Component) {
+  const defaults = Component.defaults || {}
+  const { animation, classPrefix, components, idPrefix, locale } = config
+  const options = {}
+
+  Object.keys(animation).forEach((key) => {
+    const name = `animation${key.charAt(0).toUpperCase()}${key.slice(1)}`
+
+    if (name in defaults) {
+      options[name] = animation[key]
+    }
+  })
+
+  if (locale && 'locale' in defaults) {
+    options.locale = locale
+  }
+
+  if (idPrefix && typeof defaults.prefixId === 'string') {
+    options.prefixId = idPrefix + defaults.prefixId
+  }
+
+  if (classPrefix) {
+    Object.keys(defaults)
+      .filter((key) => CLASS_NAME_OPTION.test(key) && typeof defaults[key] === 'string')
+      .forEach((key) => {
+        options[key] = classPrefix + defaults[key]
+      })
+  }
+
+  return extend(true, options, components[Component.nameSpace])
+}
+
+// ----
+// private
+// ----
+
+/**
+ * Get the options before any call to configure()
+ *
+ * @returns {Config}
+ */
+function getDefaultConfig() {
+  return {
+    animation: {},
+    classPrefix: '',
+    components: {},
+    idPrefix: '',
+    locale: null,
+  }
+}
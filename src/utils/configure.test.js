@@ -0,0 +1,32 @@
+import { expect, test } from '@playwright/test'
+
+test.describe('configure', () => {
+  test('Configure the library, expect the options matching each component are set.', async () => {
+    const { default: Accordion } = await import('../classes/Accordion.js')
+    const { default: Modal } = await import('../classes/Modal.js')
+    const { default: configure, getConfiguredOptions, resetConfig } = await import('./configure.js')
+
+    configure({
+      animation: { duration: 300 },
+      classPrefix: 'be-',
+      idPrefix: 'be-',
+      locale: 'fr',
+      components: { Accordion: { allowMultiple: true } },
+    })
+
+    expect(getConfiguredOptions(Accordion)).toEqual({
+      animationDuration: 300,
+      locale: 'fr',
+      prefixId: 'be-accordion',
+      allowMultiple: true,
+    })
+    expect(getConfiguredOptions(Modal)).toEqual({
+      prefixId: 'be-modal',
+      closedClassName: 'be-modal--hidden',
+      openedClassName: 'be-modal--visible',
+    })
+
+    resetConfig()
+    expect(getConfiguredOptions(Accordion)).toEqual({})
+  })
+})
@@ -0,0 +1,248 @@
+import { components } from './autoInit.js'
+import { parseValue } from './helpers.js'
+
+const OPTIONS_ATTRIBUTE = 'options'
+
+/**
+ * State key reflected to an attribute of the custom element, indexed by component name. The attribute is updated
+ * after each be-a11y:open, be-a11y:close and be-a11y:change event, and the state is updated when the attribute changes.
+ */
+const states = {
+  accordion: { attribute: 'expanded', key: 'expanded' },
+  disclosure: { attribute: 'expanded', key: 'expanded' },
+  dropdown: { attribute: 'open', key: 'open' },
+  modal: { attribute: 'open', key: 'open' },
+  slider: { attribute: 'current', key: 'current' },
+  tabs: { attribute: 'selected-index', key: 'selected' },
+  toggle: {
+    // the Toggle component is initialized on the button wrapped by <be-toggle>
+    element: (customElement) => customElement.querySelector('button') || customElement,
+    attribute: 'open',
+    key: 'open',
+  },
+}
+
+/**
+ * Create a custom element class wrapping a component. Observed attributes are the kebab-case names of the component
+ * defaults (allow-multiple sets allowMultiple), plus a JSON "options" attribute.
+ *
+ * @param {Function} Component class extending AbstractDomElement
+ * @param {Object} state state reflected to an attribute
+ * @param {string} state.attribute attribute name
+ * @param {string} state.key key of the object returned by getState()
+ * @param {Function} state.element function returning the element on which the component is initialized
+ *
+ * @returns {Function}
+ */
+export function createCustomElement(Component, state = {}) {
+  const optionAttributes = getOptionAttributes(Component)
+
+  return class extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(optionAttributes).concat(OPTIONS_ATTRIBUTE, state.attribute || [])
+    }
+
+    constructor() {
+      super()
+
+      this.instance = null
+      this._onStateChange = onStateChange.bind(this, state)
+    }
+
+    connectedCallback() {
+      if (this.instance) {
+        return
+      }
+
+      const element = state.element ? state.element(this) : this
+
+      this.instance = new Component(element, getOptions(this, optionAttributes))
+
+      this.addEventListener('be-a11y:open', this._onStateChange)
+      this.addEventListener('be-a11y:close', this._onStateChange)
+      this.addEventListener('be-a11y:change', this._onStateChange)
+
+      if (state.attribute && this.hasAttribute(state.attribute)) {
+        setState.call(this, state)
+      }
+
+      reflectState.call(this, state)
+    }
+
+    disconnectedCallback() {
+      if (!this.instance) {
+        return
+      }
+
+      this.removeEventListener('be-a11y:open', this._onStateChange)
+      this.removeEventListener('be-a11y:close', this._onStateChange)
+      this.removeEventListener('be-a11y:change', this._onStateChange)
+
+      this.instance.destroy()
+      this.instance = null
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this.instance || oldValue === newValue) {
+        return
+      }
+
+      if (name === state.attribute) {
+        setState.call(this, state)
+        return
+      }
+
+      // options are read on initialization, the component is initialized again with the new options
+      this.disconnectedCallback()
+      this.connectedCallback()
+    }
+  }
+}
+
+/**
+ * Define the custom elements of every registered component (<be-accordion>, <be-tabs>...)
+ *
+ * @param {string} prefix custom element name prefix
+ *
+ * @returns {void}
+ */
+export default function defineCustomElements(prefix = 'be') {
+  if (typeof customElements === 'undefined') {
+    return
+  }
+
+  Object.keys(components).forEach((name) => {
+    const tagName = `${prefix}-${name}`
+
+    if (!customElements.get(tagName)) {
+      customElements.define(tagName, createCustomElement(components[name], states[name]))
+    }
+  })
+}
+
+// ----
+// private
+// ----
+
+/**
+ * Update the reflected attribute when the component state changes
+ *
+ * @param {Object} state
+ * @param {CustomEvent} e
+ *
+ * @returns {void}
+ */
+function onStateChange(state, e) {
+  // ignore events of nested components
+  if (e.detail.instance === this.instance) {
+    reflectState.call(this, state)
+  }
+}
+
+/**
+ * Reflect the component state to the custom element attribute
+ *
+ * @param {Object} state
+ *
+ * @returns {void}
+ */
+function reflectState(state) {
+  if (!state.attribute) {
+    return
+  }
+
+  const value = this.instance.getState()[state.key]
+
+  if (typeof value === 'boolean') {
+    this.toggleAttribute(state.attribute, value)
+  } else if (this.getAttribute(state.attribute) !== getAttributeValue(value)) {
+    this.setAttribute(state.attribute, getAttributeValue(value))
+  }
+}
+
+/**
+ * Update the component state from the custom element attribute
+ *
+ * @param {Object} state
+ *
+ * @returns {void}
+ */
+function setState(state) {
+  const current = this.instance.getState()[state.key]
+  const attribute = this.getAttribute(state.attribute)
+  let value
+
+  if (typeof current === 'boolean') {
+    value = attribute !== null
+  } else if (attribute === null) {
+    // removing an index attribute keeps the current state
+    return
+  } else {
+    value = Array.isArray(current) ? attribute.split(/\s+/).filter(Boolean).map(Number) : parseValue(attribute)
+  }
+
+  if (getAttributeValue(value) !== getAttributeValue(current)) {
+    this.instance.setState({ [state.key]: value })
+    // the component may not accept the value as is
+    reflectState.call(this, state)
+  }
+}
+
+// ----
+// utils
+// ----
+
+/**
+ * Convert a state value to an attribute value, arrays are space separated
+ *
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+function getAttributeValue(value) {
+  return Array.isArray(value) ? value.join(' ') : String(value)
+}
+
+/**
+ * Get the option names of a component indexed by attribute name, callbacks are not exposed as attributes
+ *
+ * @param {Function} Component
+ *
+ * @returns {Object}
+ */
+function getOptionAttributes(Component) {
+  return Object.keys(Component.defaults || {})
+    .filter((key) => !/^on[A-Z]/.test(key))
+    .reduce((attributes, key) => {
+      attributes[key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)] = key
+      return attributes
+    }, {})
+}
+
+/**
+ * Get component options from the JSON options attribute, overridden by option attributes
+ *
+ * @param {HTMLElement} element custom element
+ * @param {Object} optionAttributes
+ *
+ * @returns {Object}
+ */
+function getOptions(element, optionAttributes) {
+  let options = {}
+
+  if (element.hasAttribute(OPTIONS_ATTRIBUTE)) {
+    try {
+      options = JSON.parse(element.getAttribute(OPTIONS_ATTRIBUTE))
+    } catch {
+      console.warn(`[customElements] invalid JSON in ${OPTIONS_ATTRIBUTE} attribute on :`, element)
+    }
+  }
+
+  Object.keys(optionAttributes).forEach((attribute) => {
+    if (element.hasAttribute(attribute)) {
+      options[optionAttributes[attribute]] = parseValue(element.getAttribute(attribute))
+    }
+  })
+
+  return options
+}
@@ -0,0 +1,60 @@
+import { expect, test } from '@playwright/test'
+
+test.describe('Custom elements', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:5173/examples/custom-elements/index.html')
+  })
+
+  test('Load the page, expect the accordion element is initialized with its attribute options.', async ({ page }) => {
+    const id = await page.locator('#element-accordion-1').getAttribute('data-id')
+    await page.click(`#accordion-${id}-2`)
+
+    expect(await page.locator(`#accordion-${id}-1`).getAttribute('aria-expanded')).toBe('true')
+    await expect(page.locator('#element-accordion-1')).toHaveAttribute('expanded', '0 1')
+  })
+
+  test('Click on the second tab, expect the selected index is reflected to the tabs element.', async ({ page }) => {
+    await expect(page.locator('#element-tabs-1')).toHaveAttribute('selected-index', '0')
+
+    await page.click('#element-tab-2')
+
+    await expect(page.locator('#element-tabs-1')).toHaveAttribute('selected-index', '1')
+  })
+
+  test('Click on the second summary of the disclosure element, expect the open details are reflected to the element.', async ({
+    page,
+  }) => {
+    await expect(page.locator('#element-disclosure-1')).toHaveAttribute('expanded', '0')
+
+    await page.click('#element-disclosure-1 details:nth-child(2) summary')
+
+    await expect(page.locator('#element-disclosure-1')).toHaveAttribute('expanded', '1')
+    await expect(page.locator('#element-disclosure-1 details').nth(0)).toHaveJSProperty('open', false)
+  })
+
+  test('Set the expanded attribute of the disclosure element, expect the details are opened.', async ({ page }) => {
+    await page.evaluate(() => document.getElementById('element-disclosure-1').setAttribute('expanded', '1'))
+
+    await expect(page.locator('#element-disclosure-1 details').nth(0)).toHaveJSProperty('open', false)
+    await expect(page.locator('#element-disclosure-1 details').nth(1)).toHaveJSProperty('open', true)
+  })
+
+  test('Set the open attribute of the toggle element, expect the target is revealed.', async ({ page }) => {
+    await page.evaluate(() => document.getElementById('element-toggle-1').setAttribute('open', ''))
+
+    await expect(page.locator('#element-toggle-1 button')).toHaveAttribute('aria-expanded', 'true')
+    await expect(page.locator('#element-toggle-target-1')).toHaveAttribute('aria-hidden', 'false')
+  })
+
+  test('Remove the accordion element, expect the instance is destroyed.', async ({ page }) => {
+    const hasInstance = await page.evaluate(() => {
+      const element = document.getElementById('element-accordion-1')
+
+      element.remove()
+
+      return !!element.beapi.Accordion
+    })
+
+    expect(hasInstance).toBe(false)
+  })
+})
@@ -0,0 +1,208 @@
+import { isSelectorValid } from './helpers.js'
+
+/**
+ * @typedef {import('../classes/AbstractDomElement.js').default} AbstractDomElement
+ */
+
+/**
+ * Option types of a component schema, a schema type can combine several types separated by | (function|null)
+ */
+const validators = {
+  boolean: (value) => typeof value === 'boolean',
+  function: (value) => typeof value === 'function',
+  // media query string, breakpoint name or MediaQueryList
+  mediaQuery: (value) => typeof value === 'string' || (!!value && typeof value.matches === 'boolean'),
+  null: (value) => value === null,
+  number: (value) => typeof value === 'number' && !isNaN(value),
+  object: (value) => !!value && typeof value === 'object',
+  selector: (value) => typeof value === 'string' && isSelectorValid(value),
+  string: (value) => typeof value === 'string',
+}
+
+/**
+ * Check options against a component schema, unknown options and values of the wrong type are reported
+ *
+ * @example validateOptions({ allowMultiple: 'yes' }, Accordion.schema) // [{ message: 'option "allowMultiple"...' }]
+ *
+ * @param {Object} options options given to the component
+ * @param {Object} schema option types indexed by option name, nothing is checked without schema
+ *
+ * @returns {{message: string}[]}
+ */
+export function validateOptions(options, schema) {
+  if (!options || !schema) {
+    return []
+  }
+
+  return Object.keys(options).reduce((issues, key) => {
+    const value = options[key]
+
+    if (!schema[key]) {
+      return issues.concat({ message: `unknown option "${key}"` })
+    }
+
+    const types = schema[key].split('|')
+
+    if (typeof value !== 'undefined' && !types.some((type) => validators[type] && validators[type](value))) {
+      return issues.concat({
+        message: `option "${key}" expects ${types.join(' or ')}, got ${describeValue(value)}`,
+      })
+    }
+
+    return issues
+  }, [])
+}
+
+/**
+ * Report ids used more than once in the document, for an element and its descendants
+ *
+ * @param {HTMLElement} element
+ *
+ * @returns {{message: string, element: HTMLElement}[]}
+ */
+export function auditDuplicateIds(element) {
+  const elements = [element].concat(Array.prototype.slice.call(element.querySelectorAll('[id]')))
+
+  return elements
+    .filter((el) => el.id && document.querySelectorAll(`[id="${el.id.replace(/"/g, '\\"')}"]`).length > 1)
+    .map((el) => ({ message: `the id "${el.id}" is used more than once in the document`, element: el }))
+}
+
+/**
+ * Report an element that is not a button, or a button without accessible name
+ *
+ * @param {HTMLElement} element
+ * @param {string} name name of the element in the message (trigger, tab, close button...)
+ *
+ * @returns {{message: string, element: HTMLElement}[]}
+ */
+export function auditButton(element, name) {
+  const issues = []
+
+  if (!isButton(element)) {
+    issues.push({ message: `the ${name} is not a button, use a <button> element or role="button"`, element })
+  }
+
+  if (!getAccessibleName(element)) {
+    issues.push({ message: `the ${name} has no accessible name`, element })
+  }
+
+  return issues
+}
+
+/**
+ * Report an element without accessible name
+ *
+ * @param {HTMLElement} element
+ * @param {string} name name of the element in the message (panel, dialog...)
+ *
+ * @returns {{message: string, element: HTMLElement}[]}
+ */
+export function auditLabel(element, name) {
+  return getAccessibleName(element, false) ? [] : [{ message: `the ${name} has no label`, element }]
+}
+
+/**
+ * Report an element whose parent is not a heading
+ *
+ * @param {HTMLElement} element
+ * @param {string} name name of the element in the message (trigger...)
+ *
+ * @returns {{message: string, element: HTMLElement}[]}
+ */
+export function auditHeading(element, name) {
+  return isHeading(element.parentElement) ? [] : [{ message: `the ${name} is not in a heading`, element }]
+}
+
+/**
+ * Report an element missing from the markup
+ *
+ * @param {HTMLElement|null} element
+ * @param {string} message
+ * @param {HTMLElement} context element in which the missing element is expected
+ *
+ * @returns {{message: string, element: HTMLElement}[]}
+ */
+export function auditRequired(element, message, context) {
+  return element ? [] : [{ message, element: context }]
+}
+
+/**
+ * Print issues as console warnings prefixed by the component name, with the offending element
+ *
+ * @param {AbstractDomElement} instance
+ * @param {{message: string, element: HTMLElement}[]} issues
+ *
+ * @returns {void}
+ */
+export function report(instance, issues) {
+  issues.forEach(({ message, element }) => {
+    console.warn(`[${instance.constructor.nameSpace}] ${message} :`, element || instance._element)
+  })
+}
+
+// ----
+// utils
+// ----
+
+/**
+ * Check if an element is a native button or has the button role
+ *
+ * @param {HTMLElement} element
+ *
+ * @returns {boolean}
+ */
+function isButton(element) {
+  return element.tagName === 'BUTTON' || element.getAttribute('role') === 'button'
+}
+
+/**
+ * Check if an element is a native heading or has the heading role
+ *
+ * @param {HTMLElement|null} element
+ *
+ * @returns {boolean}
+ */
+export function isHeading(element) {
+  return !!element && (/^H[1-6]$/.test(element.tagName) || element.getAttribute('role') === 'heading')
+}
+
+/**
+ * Get a simplified accessible name: aria-labelledby, aria-label, title, then text content or alt of a child image
+ *
+ * @param {HTMLElement} element
+ * @param {boolean} fromContent use the content, true for buttons, false for regions and dialogs
+ *
+ * @returns {string}
+ */
+function getAccessibleName(element, fromContent = true) {
+  const labelledBy = (element.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map((id) => document.getElementById(id))
+    .filter(Boolean)
+    .map((label) => label.textContent.trim())
+    .join(' ')
+  const label = labelledBy.trim() || (element.getAttribute('aria-label') || '').trim()
+  const image = element.querySelector('img[alt]')
+
+  if (label || !fromContent) {
+    return label || (element.getAttribute('title') || '').trim()
+  }
+
+  return element.textContent.trim() || (image ? image.getAttribute('alt').trim() : '') || element.title.trim()
+}
+
+/**
+ * Describe a value in a message
+ *
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+function describeValue(value) {
+  if (value === null) {
+    return 'null'
+  }
+
+  return typeof value === 'string' ? `"${value}"` : typeof value
+}
@@ -0,0 +1,14 @@
+import { expect, test } from '@playwright/test'
+
+test.describe('Diagnostics', () => {
+  test('Validate options against a schema, expect unknown options and wrong types are reported.', async () => {
+    const { validateOptions } = await import('./diagnostics.js')
+    const schema = { allowMultiple: 'boolean', onOpen: 'function|null', prefixId: 'string' }
+
+    expect(validateOptions({ allowMultiple: true, onOpen: null, prefixId: 'faq' }, schema)).toEqual([])
+    expect(validateOptions({ allowMultiple: 'true', onopen: () => {} }, schema)).toEqual([
+      { message: 'option "allowMultiple" expects boolean, got "true"' },
+      { message: 'unknown option "onopen"' },
+    ])
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * Elements that can receive the focus, tabbable elements are filtered from them with isTabbable()
+ */
+export const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'iframe',
+  'audio[controls]',
+  'video[controls]',
+  'summary',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]',
+].join(', ')
+
+/**
+ * Check if an element is rendered: not hidden by display, visibility or a zero size
+ *
+ * @param {HTMLElement} element
+ *
+ * @returns {boolean}
+ */
+export function isVisible(element) {
+  const rect = element.getBoundingClientRect()
+
+  return rect.width > 0 && rect.height > 0 && window.getComputedStyle(element).visibility !== 'hidden'
+}
+
+/**
+ * Check if an element can receive the focus: focusable, rendered, not disabled and not in an inert subtree
+ *
+ * @param {HTMLElement} element
+ *
+ * @returns {boolean}
+ */
+export function isFocusable(element) {
+  return (
+    element.matches(FOCUSABLE_SELECTOR) &&
+    !element.disabled &&
+    !element.closest('[inert], fieldset[disabled]') &&
+    isVisible(element)
+  )
+}
+
+/**
+ * Check if an element is reached with the Tab key
+ *
+ * @param {HTMLElement} element
+ *
+ * @returns {boolean}
+ */
+export function isTabbable(element) {
+  return isFocusable(element) && element.tabIndex >= 0
+}
+
+/**
+ * Get the tabbable elements of containers, in document order. Elements are looked up on each call, so elements added
+ * after initialization are included.
+ *
+ * @param {HTMLElement|HTMLElement[]} containers
+ *
+ * @returns {HTMLElement[]}
+ */
+export function getTabbableElements(containers) {
+  return [].concat(containers).reduce((elements, container) => {
+    const candidates = Array.prototype.slice.call(container.querySelectorAll(FOCUSABLE_SELECTOR))
+
+    if (container.matches(FOCUSABLE_SELECTOR)) {
+      candidates.unshift(container)
+    }
+
+    return elements.concat(candidates.filter(isTabbable))
+  }, [])
+}
+
+/**
+ * Get the element to focus in containers: the initialFocus element or selector, the first element with an autofocus
+ * attribute, the first tabbable element, or the first container
+ *
+ * @param {HTMLElement|HTMLElement[]} containers
+ * @param {HTMLElement|string|null} initialFocus element or selector
+ *
+ * @returns {HTMLElement}
+ */
+export function getInitialFocus(containers, initialFocus = null) {
+  const elements = [].concat(containers)
+  let element = typeof initialFocus === 'string' ? findElement(elements, initialFocus) : initialFocus
+
+  if (!element || !isFocusable(element)) {
+    const autofocus = findElement(elements, '[autofocus]')
+
+    element = autofocus && isFocusable(autofocus) ? autofocus : getTabbableElements(elements)[0]
+  }
+
+  return element || elements[0]
+}
+
+// ----
+// utils
+// ----
+
+/**
+ * Get the first element matching a selector in containers
+ *
+ * @param {HTMLElement[]} containers
+ * @param {string} selector
+ *
+ * @returns {HTMLElement|null}
+ */
+function findElement(containers, selector) {
+  for (let i = 0; i < containers.length; i++) {
+    const element = containers[i].matches(selector) ? containers[i] : containers[i].querySelector(selector)
+
+    if (element) {
+      return element
+    }
+  }
+
+  return null
+}
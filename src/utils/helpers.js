@@ -1,3 +1,6 @@
+const idCounters = {}
+let dummyElement = null
+
 /**
  * Loop a node list
  *
@@ -17,6 +20,8 @@ export const each = function (array, callback) {
 /**
  * Get a random id
  *
+ * @deprecated random ids differ between the server and the client, use uniqueId() instead
+ *
  * @example https://www.codemzy.com/blog/random-unique-id-javascript
  *
  * @param {number} length length of id
@@ -33,6 +38,70 @@ export const randomId = function (prefix = '', length = 6) {
   )
 }
 
+/**
+ * Get a deterministic unique id from a counter per prefix (modal-1, modal-2...). The ids do not depend on the
+ * document, so the same calls in the same order always get the same ids on the server and on the client.
+ *
+ * @param {string} prefix
+ *
+ * @returns {string}
+ */
+export const uniqueId = function (prefix = '') {
+  idCounters[prefix] = (idCounters[prefix] || 0) + 1
+
+  return prefix ? `${prefix}-${idCounters[prefix]}` : String(idCounters[prefix])
+}
+
+/**
+ * Get the id of an element: its own id, or the next uniqueId() not used by another element of the document. The
+ * counter is incremented in both cases, so a server-rendered id is reused and the next ids stay the same.
+ *
+ * @param {HTMLElement} element
+ * @param {string} prefix
+ *
+ * @returns {string}
+ */
+export const claimId = function (element, prefix = '') {
+  let id = uniqueId(prefix)
+
+  if (element.id) {
+    return element.id
+  }
+
+  while (document.getElementById(id)) {
+    id = uniqueId(prefix)
+  }
+
+  return id
+}
+
+/**
+ * Get the first id from base-index not used in the document (accordion-1-panel-2, accordion-1-panel-3...)
+ *
+ * @param {string} base
+ * @param {number} index
+ *
+ * @returns {string}
+ */
+export const getAvailableId = function (base, index = 1) {
+  while (document.getElementById(`${base}-${index}`)) {
+    index++
+  }
+
+  return `${base}-${index}`
+}
+
+/**
+ * Reset the uniqueId() counters, for example between two server renders
+ *
+ * @returns {void}
+ */
+export const resetUniqueIds = function () {
+  Object.keys(idCounters).forEach((prefix) => {
+    delete idCounters[prefix]
+  })
+}
+
 /**
  * Get the maximum height of sibling elements
  *
@@ -50,16 +119,95 @@ export const getMaxHeight = function (elements) {
   return max
 }
 
+/**
+ * Cast an attribute value: booleans, null, numbers and JSON are parsed, other values are returned as is
+ *
+ * @param {string} value
+ *
+ * @returns {*}
+ */
+export const parseValue = function (value) {
+  if (value === '' || value === 'true') {
+    return true
+  }
+
+  if (value === 'false') {
+    return false
+  }
+
+  if (value === 'null') {
+    return null
+  }
+
+  if (value.trim() !== '' && !isNaN(value)) {
+    return Number(value)
+  }
+
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value)
+    } catch {
+      return value
+    }
+  }
+
+  return value
+}
+
+/**
+ * Get the text direction of an element, from the direction option of a component or the computed direction
+ *
+ * @param {HTMLElement} element
+ * @param {'ltr'|'rtl'|null} [direction] direction forced by an option, the computed direction is used if null
+ *
+ * @returns {'ltr'|'rtl'}
+ */
+export const getDirection = function (element, direction = null) {
+  if (direction === 'ltr' || direction === 'rtl') {
+    return direction
+  }
+
+  return window.getComputedStyle(element).direction === 'rtl' ? 'rtl' : 'ltr'
+}
+
+/**
+ * Check if the browser reveals the elements hidden with hidden="until-found" on find-in-page and fragment navigation
+ *
+ * @returns {boolean}
+ */
+export const supportsHiddenUntilFound = function () {
+  return typeof document !== 'undefined' && 'onbeforematch' in document.documentElement
+}
+
+/**
+ * Get the element targeted by the URL fragment
+ *
+ * @returns {HTMLElement|null}
+ */
+export const getFragmentTarget = function () {
+  try {
+    return window.location.hash.length > 1
+      ? document.getElementById(decodeURIComponent(window.location.hash.slice(1)))
+      : null
+  } catch {
+    // malformed fragment
+    return null
+  }
+}
+
 /**
  * Check if an HTML element exists in DOM
  */
-export const isSelectorValid = ((dummyElement) => (selector) => {
+export const isSelectorValid = function (selector) {
+  // created on first call, the module can be imported without DOM
+  dummyElement = dummyElement || document.createDocumentFragment()
+
   try {
     dummyElement.querySelector(selector)
   } catch {
     return false
   }
   return true
-})(document.createDocumentFragment())
+}
 
 export default isSelectorValid
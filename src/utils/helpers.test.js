@@ -0,0 +1,40 @@
+import { expect, test } from '@playwright/test'
+
+test.describe('SSR', () => {
+  test('Import the package without DOM, expect no error.', async () => {
+    const module = await import('../../be-a11y.js')
+
+    expect(typeof module.Accordion).toBe('function')
+  })
+
+  test('Get unique ids without DOM, expect deterministic ids after a reset.', async () => {
+    const { resetUniqueIds, uniqueId } = await import('./helpers.js')
+
+    resetUniqueIds()
+    const ids = [uniqueId('modal'), uniqueId('modal'), uniqueId('toggle')]
+
+    resetUniqueIds()
+    expect([uniqueId('modal'), uniqueId('modal'), uniqueId('toggle')]).toEqual(ids)
+    expect(ids).toEqual(['modal-1', 'modal-2', 'toggle-1'])
+  })
+
+  test('Claim ids in a document with server-rendered ids, expect the existing ids are reused and the counter is unchanged.', async ({
+    page,
+  }) => {
+    await page.goto('http://localhost:5173/index.html')
+
+    const ids = await page.evaluate(async () => {
+      const { claimId, resetUniqueIds } = await import('/src/utils/helpers.js')
+      const server = document.createElement('div')
+      const client = document.createElement('div')
+
+      server.id = 'modal-1'
+      document.body.appendChild(server)
+      resetUniqueIds()
+
+      return [claimId(server, 'modal'), claimId(client, 'modal')]
+    })
+
+    expect(ids).toEqual(['modal-1', 'modal-2'])
+  })
+})
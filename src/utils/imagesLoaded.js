@@ -1,4 +1,4 @@
-import noop from './noop'
+import noop from './noop.js'
 
 // return orignal function or noop
 function getFunction(fn) {